@@ -0,0 +1,107 @@
+// Archived items - an item as the portal showed it when it was archived, so the archive tab can list and restore it
+// The item itself stays in Square with is_archived set (hidden from the register and the inventory, sales history
+// and SKU kept); entries from before that are of items that were deleted from Square and have to be made again.
+// cbg-archive-items   hash of squareId -> entry: the item's fields plus archivedAt, archivedBy and entryVersion
+// cbg-archive         the old format, one JSON list of every entry; copied into the hash the first time the archive
+//                     is read and then renamed to cbg-archive:migrated, which is kept as a backup
+// Entries are saved with compare-and-set on entryVersion (see saveEntry), so two admins can't overwrite each other.
+// (It isn't called version because the item's fields already include Square's version of it.)
+import { kvCommand, kvHGetAllJson, withKvLock } from './kv.js';
+
+const ENTRIES_KEY = 'cbg-archive-items';
+const LEGACY_KEY = 'cbg-archive';
+const MAX_ENTRY_BYTES = 50000;
+const DEFAULT_RETENTION_DAYS = 730;
+
+// How long entries are kept before purgeEntries removes them: ARCHIVE_RETENTION_DAYS, two years if it isn't set
+export const retentionDays = () => parseInt(process.env.ARCHIVE_RETENTION_DAYS) > 0 ? parseInt(process.env.ARCHIVE_RETENTION_DAYS) : DEFAULT_RETENTION_DAYS;
+
+const parse = (raw) => {
+  try { return JSON.parse(raw); } catch (error) { return null; }
+};
+
+const entryId = (entry) => String(entry.squareId || entry.id || '');
+
+// Copies the old list into the hash. Entries already in the hash win, so running it twice changes nothing.
+export async function migrateLegacyArchive() {
+  if (!(await kvCommand(['EXISTS', LEGACY_KEY]))) return 0;
+  return withKvLock(LEGACY_KEY, async () => {
+    const raw = await kvCommand(['GET', LEGACY_KEY]);
+    if (raw === null) return 0; // moved by another request while this one waited for the lock
+    const legacy = parse(raw);
+    let moved = 0;
+    for (const entry of Array.isArray(legacy) ? legacy : []) {
+      const id = entryId(entry);
+      if (!id) continue;
+      moved += await kvCommand(['HSETNX', ENTRIES_KEY, id, JSON.stringify({ ...entry, entryVersion: 1 })]);
+    }
+    await kvCommand(['RENAME', LEGACY_KEY, `${LEGACY_KEY}:migrated`]);
+    console.log('Archive migrated:', moved, 'of', Array.isArray(legacy) ? legacy.length : 0, 'entries moved out of', LEGACY_KEY);
+    return moved;
+  });
+}
+
+// Oldest archived first, as the list used to be
+export async function listEntries() {
+  await migrateLegacyArchive();
+  return Object.values(await kvHGetAllJson(ENTRIES_KEY)).sort((a, b) => new Date(a.archivedAt) - new Date(b.archivedAt));
+}
+
+export async function getEntry(id) {
+  return parse(await kvCommand(['HGET', ENTRIES_KEY, String(id)]));
+}
+
+// The entry as it will be stored, or { error }. Items carry many fields (photos, variations, details); the ones
+// the archive and restore rely on are checked and the rest kept as long as the whole entry stays a sensible size.
+export function normalizeEntry(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'entry is required' };
+  if (typeof input.squareId !== 'string' || !input.squareId || input.squareId.length > 64) return { error: 'entry.squareId is required' };
+  if (typeof input.title !== 'string' || !input.title.trim()) return { error: 'entry.title is required' };
+  if (typeof input.artistName !== 'string') return { error: 'entry.artistName must be text' };
+  for (const list of ['variations', 'images']) {
+    if (input[list] !== undefined && input[list] !== null && !Array.isArray(input[list])) return { error: `entry.${list} must be a list` };
+  }
+  const { entryVersion, archivedAt, archivedBy, ...entry } = input;
+  if (JSON.stringify(entry).length > MAX_ENTRY_BYTES) return { error: 'entry is too large' };
+  return { entry };
+}
+
+// Save an entry if the stored one is still at expectedVersion (0: there must be none yet); otherwise { conflict }
+// with the stored entry. archivedAt/archivedBy are set when an entry is first saved.
+export async function saveEntry(user, entry, expectedVersion) {
+  await migrateLegacyArchive();
+  return withKvLock(`${ENTRIES_KEY}:${entry.squareId}`, async () => {
+    const current = await getEntry(entry.squareId);
+    if ((current?.entryVersion || 0) !== expectedVersion) return { conflict: current };
+    const saved = {
+      ...entry,
+      archivedAt: current?.archivedAt || new Date().toISOString(),
+      archivedBy: current?.archivedBy || user.name || user.username,
+      entryVersion: expectedVersion + 1
+    };
+    await kvCommand(['HSET', ENTRIES_KEY, entry.squareId, JSON.stringify(saved)]);
+    return { entry: saved };
+  });
+}
+
+// Remove an entry if it is still at expectedVersion; otherwise { conflict } with the stored entry (null if gone)
+export async function removeEntry(id, expectedVersion) {
+  await migrateLegacyArchive();
+  return withKvLock(`${ENTRIES_KEY}:${id}`, async () => {
+    const current = await getEntry(id);
+    if (!current || current.entryVersion !== expectedVersion) return { conflict: current };
+    await kvCommand(['HDEL', ENTRIES_KEY, String(id)]);
+    return { entry: current };
+  });
+}
+
+// Remove every entry archived before the cutoff (a Date). Returns the removed entries.
+export async function purgeEntries(cutoff) {
+  const removed = [];
+  for (const entry of await listEntries()) {
+    if (!(new Date(entry.archivedAt) < cutoff)) continue;
+    const result = await removeEntry(entryId(entry), entry.entryVersion);
+    if (result.entry) removed.push(result.entry);
+  }
+  return removed;
+}
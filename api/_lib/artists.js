@@ -0,0 +1,135 @@
+// Server-side access to the cbg-artists store
+// Passwords are never kept in this blob - credentials live under cbg-credentials:<username>
+// Every account carries a version, bumped each time it is saved through updateArtist; api/artists.js only
+// writes a change made to the version the browser last saw, so two admins can't overwrite each other.
+import { kvGetJson, kvSetJson, kvCommand, withKvLock } from './kv.js';
+import { hashPassword } from './passwords.js';
+import { recordAudit, changedFields } from './audit.js';
+
+export const ARTISTS_KEY = 'cbg-artists';
+export const credentialKey = (username) => `cbg-credentials:${username}`;
+
+// Accounts created before server-side login shipped still carry these defaults
+const DEFAULT_PASSWORDS = ['temp123', 'admin123'];
+
+export const isAdminType = (type) => type === 'admin' || type === 'subadmin';
+
+export const ARTIST_TYPES = ['coop', 'consignment', 'special', 'admin', 'subadmin'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,59}$/;
+
+export const stripPasswords = (artists) => Object.fromEntries(
+  Object.entries(artists || {}).map(([username, { password, ...artist }]) => [username, artist])
+);
+
+// Move any plaintext passwords left in the blob into hashed credentials, then drop them
+export async function migrateLegacyPasswords(artists) {
+  const legacy = Object.entries(artists || {}).filter(([, artist]) => typeof artist.password === 'string');
+  if (legacy.length === 0) return artists;
+
+  for (const [username, artist] of legacy) {
+    const existing = await kvGetJson(credentialKey(username));
+    if (existing) continue;
+    await kvSetJson(credentialKey(username), {
+      hash: await hashPassword(artist.password),
+      mustChange: DEFAULT_PASSWORDS.includes(artist.password),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  const sanitized = stripPasswords(artists);
+  await kvSetJson(ARTISTS_KEY, sanitized);
+  console.log('Migrated legacy passwords for', legacy.length, 'account(s)');
+  return sanitized;
+}
+
+// Accounts saved before versions were added count as version 1
+export async function loadArtists() {
+  const artists = await kvGetJson(ARTISTS_KEY);
+  if (!artists || typeof artists !== 'object') return {};
+  const migrated = await migrateLegacyPasswords(artists);
+  return Object.fromEntries(Object.entries(migrated).map(([username, artist]) => [username, { ...artist, version: artist.version || 1 }]));
+}
+
+export async function saveArtists(artists) {
+  return kvSetJson(ARTISTS_KEY, stripPasswords(artists));
+}
+
+// Fetch the artist record and credential for one account in a single round trip
+export async function loadAccount(username) {
+  const [rawArtists, rawCredential] = await kvCommand(['MGET', ARTISTS_KEY, credentialKey(username)]);
+  let artists = rawArtists ? JSON.parse(rawArtists) : {};
+  if (artists[username]?.password !== undefined) artists = await migrateLegacyPasswords(artists);
+  const credential = rawCredential ? JSON.parse(rawCredential) : await kvGetJson(credentialKey(username));
+  return { artists, artist: artists[username] || null, credential };
+}
+
+// Audit-log every account added, removed or changed between two versions of the artists blob
+const AUDITED_FIELDS = ['name', 'type', 'rate', 'active'];
+
+export async function auditArtistChanges(actor, before, after) {
+  for (const username of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const was = before?.[username];
+    const now = after?.[username];
+    const current = now || was;
+    const target = { kind: isAdminType(current.type) ? 'account' : 'artist', id: username, label: current.name || username };
+    const artistName = isAdminType(current.type) ? null : current.name;
+    const fields = (artist) => Object.fromEntries(AUDITED_FIELDS.map(field => [field, artist[field] ?? null]));
+
+    if (!was) {
+      await recordAudit(actor, 'artist.created', { target, artistName, after: fields(now) });
+    } else if (!now) {
+      await recordAudit(actor, 'artist.removed', { target, artistName, before: fields(was) });
+    } else {
+      const change = changedFields(was, now, AUDITED_FIELDS);
+      if (!change) continue;
+      const action = was.active && !now.active ? 'artist.deactivated' : !was.active && now.active ? 'artist.reactivated' : 'artist.updated';
+      await recordAudit(actor, action, { target, artistName, ...change });
+    }
+  }
+}
+
+// The account as it will be stored, or { error }. Unknown keys are dropped; the version is the store's business.
+export function normalizeArtist(username, input) {
+  if (!USERNAME_PATTERN.test(String(username || ''))) return { error: 'Usernames are lowercase letters, numbers, dots and dashes' };
+  if (!input || typeof input !== 'object') return { error: 'artist is required' };
+  if (!ARTIST_TYPES.includes(input.type)) return { error: `type must be one of ${ARTIST_TYPES.join(', ')}` };
+  const name = String(input.name ?? '').trim();
+  const needsSetup = input.type === 'subadmin' && !!input.needsSetup;
+  if (!name && !needsSetup) return { error: 'Name is required' };
+  if (name.length > 80) return { error: 'Name is too long (max 80 characters)' };
+  const rate = Number(input.rate);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) return { error: 'Commission rate must be between 0 and 100' };
+  if (typeof input.active !== 'boolean') return { error: 'active must be true or false' };
+
+  const artist = { name, type: input.type, rate, active: input.active };
+  if (needsSetup) artist.needsSetup = true;
+  return { artist };
+}
+
+// Change one account under the artists lock, so writes from two places can't drop each other's changes.
+// change(current, artists) gets the stored account (null if there is none) and returns the new one, or undefined
+// to leave it as it is. A saved account's version goes up by one.
+export async function updateArtist(username, change) {
+  return withKvLock(ARTISTS_KEY, async () => {
+    const artists = await loadArtists();
+    const current = artists[username] || null;
+    const next = await change(current, artists);
+    if (next === undefined) return { before: current, after: current, saved: false };
+    const after = { ...next, version: (current?.version || 0) + 1 };
+    await saveArtists({ ...artists, [username]: after });
+    return { before: current, after, saved: true };
+  });
+}
+
+// Add the accounts that don't exist yet (the built-in list on a new install, sub-admin slots), never touching
+// existing ones. Returns the usernames added.
+export async function addMissingArtists(accounts) {
+  return withKvLock(ARTISTS_KEY, async () => {
+    const artists = await loadArtists();
+    const missing = Object.keys(accounts).filter(username => !artists[username]);
+    if (missing.length > 0) {
+      await saveArtists({ ...artists, ...Object.fromEntries(missing.map(username => [username, { ...accounts[username], version: 1 }])) });
+    }
+    return missing;
+  });
+}
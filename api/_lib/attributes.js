@@ -0,0 +1,107 @@
+// Artwork details stored as Square catalog custom attributes, instead of "Medium:" / "Dimensions:" /
+// "Discounts:" lines in the item description (which broke whenever someone edited the description in Square)
+// cbg-attribute-definitions: { field: { id, key } } for the definitions below, once they exist in Square
+// Items saved before the switch still carry the description lines - transformItem falls back to them, and
+// api/metadata-migrate.js moves them over.
+import { kvGetJson, kvSetJson } from './kv.js';
+import { squarePost, idempotencyKey } from './square.js';
+
+const DEFINITIONS_KEY = 'cbg-attribute-definitions';
+
+// field: the portal item's property; key: the definition's key in Square (fixed once created)
+export const ARTWORK_ATTRIBUTES = [
+  { field: 'medium', key: 'cbg_medium', name: 'Medium', type: 'STRING' },
+  { field: 'height', key: 'cbg_height', name: 'Height (in)', type: 'NUMBER' },
+  { field: 'width', key: 'cbg_width', name: 'Width (in)', type: 'NUMBER' },
+  { field: 'depth', key: 'cbg_depth', name: 'Depth (in)', type: 'NUMBER' },
+  { field: 'year', key: 'cbg_year', name: 'Year', type: 'NUMBER' },
+  { field: 'framed', key: 'cbg_framed', name: 'Framed', type: 'BOOLEAN' },
+  { field: 'edition', key: 'cbg_edition', name: 'Edition', type: 'STRING' },
+  { field: 'discounts', key: 'cbg_discounts', name: 'Discounts', type: 'STRING' }
+];
+
+const definitionData = ({ key, name, type }) => ({
+  type,
+  name,
+  key,
+  allowed_object_types: ['ITEM'],
+  seller_visibility: 'SELLER_VISIBILITY_READ_WRITE_VALUES',
+  app_visibility: 'APP_VISIBILITY_READ_WRITE_VALUES',
+  ...(type === 'STRING' ? { string_config: { enforce_uniqueness: false } } : {}),
+  ...(type === 'NUMBER' ? { number_config: { precision: 2 } } : {})
+});
+
+// Map of field -> { id, key }, creating whichever definitions Square doesn't have yet
+export async function ensureAttributeDefinitions() {
+  const cached = await kvGetJson(DEFINITIONS_KEY);
+  if (cached && ARTWORK_ATTRIBUTES.every(attribute => cached[attribute.field])) return cached;
+
+  const definitions = {};
+  let cursor = null;
+  do {
+    const data = await squarePost('catalog/search', { object_types: ['CUSTOM_ATTRIBUTE_DEFINITION'], cursor: cursor || undefined, limit: 1000 });
+    (data.objects || []).forEach(obj => {
+      const attribute = ARTWORK_ATTRIBUTES.find(a => a.key === obj.custom_attribute_definition_data?.key);
+      if (attribute && !obj.is_deleted) definitions[attribute.field] = { id: obj.id, key: attribute.key };
+    });
+    cursor = data.cursor;
+  } while (cursor);
+
+  const missing = ARTWORK_ATTRIBUTES.filter(attribute => !definitions[attribute.field]);
+  if (missing.length > 0) {
+    const data = await squarePost('catalog/batch-upsert', {
+      idempotency_key: idempotencyKey('attribute-definitions', missing.map(attribute => attribute.key)),
+      batches: [{ objects: missing.map(attribute => ({ type: 'CUSTOM_ATTRIBUTE_DEFINITION', id: `#${attribute.key}`, custom_attribute_definition_data: definitionData(attribute) })) }]
+    });
+    missing.forEach(attribute => {
+      const id = (data.id_mappings || []).find(m => m.client_object_id === `#${attribute.key}`)?.object_id;
+      if (id) definitions[attribute.field] = { id, key: attribute.key };
+    });
+    console.log('Created Square custom attribute definitions:', missing.map(attribute => attribute.key).join(', '));
+  }
+
+  await kvSetJson(DEFINITIONS_KEY, definitions);
+  return definitions;
+}
+
+// Square keys the values of app-created definitions by their key (sometimes prefixed with the app id)
+const findValue = (values, key) => Object.entries(values || {}).find(([mapKey, value]) => mapKey === key || mapKey.endsWith(`:${key}`) || value?.key === key)?.[1];
+
+// The structured details on a Square ITEM, as { field: value } - only the ones that are set.
+// Numbers come back as strings ("16", "2024"), framed as true/false.
+export const readAttributes = (itemData) => {
+  const found = {};
+  for (const attribute of ARTWORK_ATTRIBUTES) {
+    const value = findValue(itemData?.custom_attribute_values, attribute.key);
+    if (!value) continue;
+    if (attribute.type === 'BOOLEAN' && typeof value.boolean_value === 'boolean') found[attribute.field] = value.boolean_value;
+    else if (attribute.type === 'NUMBER' && value.number_value !== undefined && value.number_value !== null && value.number_value !== '') found[attribute.field] = String(parseFloat(value.number_value));
+    else if (attribute.type === 'STRING' && value.string_value) found[attribute.field] = value.string_value;
+  }
+  return found;
+};
+
+const toValue = (type, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (type === 'BOOLEAN') return typeof value === 'boolean' ? { boolean_value: value } : null;
+  if (type === 'NUMBER') {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? { number_value: String(number) } : null;
+  }
+  return { string_value: String(value).trim() };
+};
+
+// custom_attribute_values for an ITEM upsert: the existing map with the artwork fields replaced by `fields`.
+// A field that is blank (or null) is removed; values belonging to other definitions are kept.
+export const withAttributeValues = (existingValues, fields, definitions) => {
+  const keys = ARTWORK_ATTRIBUTES.map(attribute => attribute.key);
+  const values = Object.fromEntries(Object.entries(existingValues || {}).filter(([mapKey, value]) => !keys.some(key => mapKey === key || mapKey.endsWith(`:${key}`) || value?.key === key)));
+  for (const attribute of ARTWORK_ATTRIBUTES) {
+    const value = toValue(attribute.type, fields[attribute.field]);
+    if (value && definitions[attribute.field]) values[definitions[attribute.field].key] = value;
+  }
+  return values;
+};
+
+// "16" x 20"" or "16" x 20" x 1.5"" from the structured numbers
+export const formatDimensions = ({ height, width, depth }) => height && width ? `${height}" x ${width}"${depth ? ` x ${depth}"` : ''}` : '';
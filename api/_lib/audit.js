@@ -0,0 +1,88 @@
+// Append-only audit log of changes made through the portal
+// cbg-audit:<YYYY-MM>      list of entries for that month, newest first (partitioned so nothing ever has to be trimmed)
+// cbg-audit-item:<itemId>  the same entries again for one Square item, for its history in the edit modal
+// cbg-audit-seq            entry ids
+// Entry: { id, at, actor: { username, name, type }, action, target: { kind, id, label }, artistName, before, after, note }
+// Actions: item.created, item.updated, item.quantity, item.archived, item.restored, item.purged, item.sku,
+// item.photo_added, item.photo_removed, item.transferred, artist.created, artist.updated, artist.deactivated,
+// artist.reactivated, artist.removed, account.password_reset, account.password_changed, category.added, category.removed, label.created, label.updated,
+// label.removed, promotion.created, promotion.updated, promotion.removed
+import { kvCommand } from './kv.js';
+
+const SEQ_KEY = 'cbg-audit-seq';
+const monthKey = (date) => `cbg-audit:${date.toISOString().slice(0, 7)}`;
+const itemKey = (itemId) => `cbg-audit-item:${itemId}`;
+const MAX_MONTHS = 24; // furthest back a single search reads
+
+const parse = (raw) => {
+  try { return JSON.parse(raw); } catch (error) { return null; }
+};
+
+// Only the fields that differ, as { before, after }, or null when nothing changed
+export function changedFields(before, after, fields) {
+  const changed = fields.filter(field => String(before?.[field] ?? '') !== String(after?.[field] ?? ''));
+  if (changed.length === 0) return null;
+  return {
+    before: Object.fromEntries(changed.map(field => [field, before?.[field] ?? null])),
+    after: Object.fromEntries(changed.map(field => [field, after?.[field] ?? null]))
+  };
+}
+
+// Record one change. Never throws - a failed audit write is logged but doesn't undo or block the change itself.
+export async function recordAudit(actor, action, { target, artistName = null, before = null, after = null, note = null } = {}) {
+  try {
+    const now = new Date();
+    const entry = {
+      id: await kvCommand(['INCR', SEQ_KEY]),
+      at: now.toISOString(),
+      actor: actor ? { username: actor.username, name: actor.name, type: actor.type } : { username: 'system', name: 'System' },
+      action,
+      target,
+      artistName,
+      before,
+      after,
+      note
+    };
+    const raw = JSON.stringify(entry);
+    await kvCommand(['LPUSH', monthKey(now), raw]);
+    if (target?.kind === 'item' && target.id) await kvCommand(['LPUSH', itemKey(target.id), raw]);
+    return entry;
+  } catch (error) {
+    console.error('Audit write failed:', action, target?.id, error);
+    return null;
+  }
+}
+
+export async function readItemHistory(itemId) {
+  const raw = await kvCommand(['LRANGE', itemKey(itemId), 0, -1]);
+  return (raw || []).map(parse).filter(Boolean);
+}
+
+// Search the log, newest first. from/to are YYYY-MM-DD (to inclusive); by default the last 90 days.
+// action matches a prefix ('item' or 'item.updated'); q searches labels, names and changed values.
+export async function readAudit({ from, to, action, actor, artistName, q, limit = 100, offset = 0 } = {}) {
+  const end = to ? new Date(`${to}T23:59:59.999Z`) : new Date();
+  const start = from ? new Date(`${from}T00:00:00.000Z`) : new Date(end.getTime() - 90 * 24 * 60 * 60 * 1000);
+
+  const months = [];
+  const cursor = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
+  while (cursor >= new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1)) && months.length < MAX_MONTHS) {
+    months.push(monthKey(cursor));
+    cursor.setUTCMonth(cursor.getUTCMonth() - 1);
+  }
+
+  const lists = await Promise.all(months.map(key => kvCommand(['LRANGE', key, 0, -1])));
+  const needle = (q || '').toLowerCase().trim();
+  const matches = lists.flat().map(parse).filter(entry => {
+    if (!entry) return false;
+    const at = new Date(entry.at);
+    if (at < start || at > end) return false;
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+    if (actor && entry.actor?.username !== actor) return false;
+    if (artistName && (entry.artistName || '').toLowerCase() !== artistName.toLowerCase()) return false;
+    if (needle && !JSON.stringify([entry.target, entry.artistName, entry.actor?.name, entry.before, entry.after, entry.note]).toLowerCase().includes(needle)) return false;
+    return true;
+  });
+
+  return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+}
@@ -0,0 +1,96 @@
+// Session handling shared by the API routes
+// Sessions are random tokens in an HttpOnly cookie; KV stores them under a SHA-256 of the token
+import crypto from 'crypto';
+import { kvGetJson, kvSetJson, kvDel, kvCommand, kvIncr } from './kv.js';
+import { loadAccount, isAdminType } from './artists.js';
+
+export const SESSION_COOKIE = 'cbg_session';
+const SESSION_TTL = 60 * 60 * 12; // 12 hours
+
+// Failed-login limits, per username and per client IP, over a rolling window
+const LOGIN_WINDOW = 60 * 15;
+const MAX_FAILS_PER_USER = 5;
+const MAX_FAILS_PER_IP = 20;
+
+const sessionKey = (token) => `cbg-session:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+const parseCookies = (req) => Object.fromEntries(
+  (req.headers.cookie || '').split(';').map(part => part.trim().split('=')).filter(([name]) => name)
+    .map(([name, ...rest]) => [name, decodeURIComponent(rest.join('='))])
+);
+
+export const clientIp = (req) => (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+
+const sessionCookie = (value, maxAge) => `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAge}`;
+
+// Public view of an account - what the browser is allowed to see
+export const publicUser = (username, artist, extra = {}) => {
+  const { password, ...rest } = artist || {};
+  return { username, ...rest, ...extra };
+};
+
+// type overrides the account's role for this session; via records how it was created ('password' or 'handoff')
+export async function createSession(res, username, { type, via = 'password' } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await kvSetJson(sessionKey(token), { username, ...(type ? { type } : {}), via, createdAt: new Date().toISOString() }, { ex: SESSION_TTL });
+  res.setHeader('Set-Cookie', sessionCookie(token, SESSION_TTL));
+  return token;
+}
+
+export async function destroySession(req, res) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (token) await kvDel(sessionKey(token));
+  res.setHeader('Set-Cookie', sessionCookie('', 0));
+}
+
+// Resolve the caller from their session cookie, or null if there is no valid session.
+// Deactivated accounts and sessions issued before the last credential change are rejected.
+export async function getSessionUser(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token) return null;
+
+  const session = await kvGetJson(sessionKey(token));
+  if (!session?.username) return null;
+
+  const { artist, credential } = await loadAccount(session.username);
+  if (!artist || !artist.active) return null;
+  if (credential?.updatedAt && new Date(credential.updatedAt) > new Date(session.createdAt)) return null;
+
+  return publicUser(session.username, artist, {
+    ...(session.type ? { type: session.type } : {}),
+    // Hand-off sessions were authenticated by the integrated portal, not by this password
+    mustChangePassword: session.via !== 'handoff' && !!credential?.mustChange
+  });
+}
+
+// Send 401/403 and return null unless the caller is signed in (and an admin, if required)
+export async function requireUser(req, res, { admin = false, allowPasswordChange = false } = {}) {
+  const user = await getSessionUser(req);
+  if (!user) {
+    res.status(401).json({ success: false, error: 'Please log in again' });
+    return null;
+  }
+  if (user.mustChangePassword && !allowPasswordChange) {
+    res.status(403).json({ success: false, error: 'Password change required' });
+    return null;
+  }
+  if (admin && !isAdminType(user.type)) {
+    res.status(403).json({ success: false, error: 'Admin access required' });
+    return null;
+  }
+  return user;
+}
+
+export const isAdminUser = (user) => !!user && isAdminType(user.type);
+
+export async function isLoginLocked(username, ip) {
+  const [userFails, ipFails] = await kvCommand(['MGET', `cbg-login-fail:user:${username}`, `cbg-login-fail:ip:${ip}`]);
+  return parseInt(userFails) >= MAX_FAILS_PER_USER || parseInt(ipFails) >= MAX_FAILS_PER_IP;
+}
+
+export async function recordLoginFailure(username, ip) {
+  await kvIncr(`cbg-login-fail:user:${username}`, { ex: LOGIN_WINDOW });
+  await kvIncr(`cbg-login-fail:ip:${ip}`, { ex: LOGIN_WINDOW });
+}
+
+export const clearLoginFailures = (username) => kvDel(`cbg-login-fail:user:${username}`);
@@ -0,0 +1,219 @@
+// KV snapshot of the Square catalog, so inventory reads don't crawl all of Square on every load
+// cbg-catalog:items       hash of item ID -> transformItem() output (no category labels or quantities)
+// cbg-catalog:categories  hash of category ID -> name
+// cbg-catalog:images      hash of image ID -> { url, caption }
+// cbg-inv-counts[:<loc>]  IN_STOCK counts per location, shared with the webhook cache (live-inventory.js)
+// cbg-catalog:meta        { syncedAt, catalogSyncedAt, countsSyncedAt, fullSyncedAt, itemCount, locations }
+// cbg-catalog:fresh       short-lived marker - while it exists reads skip the incremental sync
+// cbg-catalog:dirty       bumped by write endpoints and catalog webhooks (markCatalogDirty); a sync that
+//                         overlapped a bump doesn't set the fresh marker, so the next read syncs again
+import crypto from 'crypto';
+import { kvCommand, kvGetJson, kvSetJson, kvSetNx, kvDel, kvHGetAllJson, kvHSetJson } from './kv.js';
+import { transformItem, applyCategory, applyImages } from './catalog.js';
+import { countsKey, storeCounts } from './live-inventory.js';
+import { listLocations } from './locations.js';
+import { squarePost } from './square.js';
+
+const ITEMS_KEY = 'cbg-catalog:items';
+const CATEGORIES_KEY = 'cbg-catalog:categories';
+const IMAGES_KEY = 'cbg-catalog:images';
+const META_KEY = 'cbg-catalog:meta';
+const FRESH_KEY = 'cbg-catalog:fresh';
+const LOCK_KEY = 'cbg-catalog:lock';
+const DIRTY_KEY = 'cbg-catalog:dirty';
+
+const FRESH_FOR = 15; // seconds between incremental syncs
+const LOCK_TTL = 120;
+const SYNC_OVERLAP = 2 * 60 * 1000; // re-read the last couple of minutes - Square's search index can lag slightly
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const imageEntry = (obj) => ({ url: obj.image_data?.url || null, caption: obj.image_data?.caption || '' });
+const overlapped = (iso) => new Date(new Date(iso).getTime() - SYNC_OVERLAP).toISOString();
+
+// Items, categories and images changed since beginTime (everything when beginTime is null), including deletions
+async function searchCatalog(beginTime) {
+  const objects = [];
+  let cursor = null;
+  do {
+    const data = await squarePost('catalog/search', {
+      object_types: ['ITEM', 'CATEGORY', 'IMAGE'],
+      include_deleted_objects: !!beginTime,
+      begin_time: beginTime || undefined,
+      limit: 1000,
+      cursor: cursor || undefined
+    });
+    if (data.objects) objects.push(...data.objects);
+    cursor = data.cursor;
+  } while (cursor);
+  return objects;
+}
+
+// IN_STOCK counts at each location, as { locationId: { variationId: { quantity, calculatedAt } } }
+async function fetchCounts(updatedAfter, locationIds) {
+  const counts = Object.fromEntries(locationIds.map(id => [id, {}]));
+  let cursor = null;
+  do {
+    const data = await squarePost('inventory/counts/batch-retrieve', {
+      location_ids: locationIds,
+      states: ['IN_STOCK'],
+      updated_after: updatedAfter || undefined,
+      limit: 1000,
+      cursor: cursor || undefined
+    });
+    (data.counts || []).filter(count => counts[count.location_id]).forEach(count => {
+      counts[count.location_id][count.catalog_object_id] = { quantity: parseInt(count.quantity) || 0, calculatedAt: count.calculated_at };
+    });
+    cursor = data.cursor;
+  } while (cursor);
+  return counts;
+}
+
+// Rebuild into side keys and swap them in, so readers never see a half-built snapshot
+async function fullSync(meta, locations) {
+  const startedAt = new Date().toISOString();
+  const locationIds = locations.map(location => location.id);
+  const objects = await searchCatalog(null);
+  const items = {};
+  const categories = {};
+  const images = {};
+  objects.forEach(obj => {
+    if (obj.type === 'ITEM') items[obj.id] = transformItem(obj);
+    if (obj.type === 'CATEGORY') categories[obj.id] = obj.category_data?.name || 'Unknown';
+    if (obj.type === 'IMAGE') images[obj.id] = imageEntry(obj);
+  });
+
+  const counts = await fetchCounts(null, locationIds);
+  const countKeys = locationIds.map(id => [countsKey(id), counts[id]]);
+
+  for (const [key, values] of [[ITEMS_KEY, items], [CATEGORIES_KEY, categories], [IMAGES_KEY, images], ...countKeys]) {
+    await kvDel(`${key}:next`);
+    if (Object.keys(values).length === 0) {
+      await kvDel(key);
+      continue;
+    }
+    await kvHSetJson(`${key}:next`, values);
+    await kvCommand(['RENAME', `${key}:next`, key]);
+  }
+  // Counts of locations that have since been closed
+  for (const location of meta?.locations || []) {
+    if (!locationIds.includes(location.id)) await kvDel(countsKey(location.id));
+  }
+
+  return { syncedAt: startedAt, catalogSyncedAt: startedAt, countsSyncedAt: startedAt, fullSyncedAt: startedAt, itemCount: Object.keys(items).length, locations };
+}
+
+async function incrementalSync(meta, locations) {
+  const startedAt = new Date().toISOString();
+  const objects = await searchCatalog(overlapped(meta.catalogSyncedAt));
+
+  const upserts = { ITEM: {}, CATEGORY: {}, IMAGE: {} };
+  const deletes = { ITEM: [], CATEGORY: [], IMAGE: [] };
+  const toEntry = { ITEM: transformItem, CATEGORY: obj => obj.category_data?.name || 'Unknown', IMAGE: imageEntry };
+  objects.forEach(obj => {
+    if (!upserts[obj.type]) return;
+    if (obj.is_deleted) deletes[obj.type].push(obj.id);
+    else upserts[obj.type][obj.id] = toEntry[obj.type](obj);
+  });
+
+  for (const [type, key] of [['ITEM', ITEMS_KEY], ['CATEGORY', CATEGORIES_KEY], ['IMAGE', IMAGES_KEY]]) {
+    await kvHSetJson(key, upserts[type]);
+    if (deletes[type].length > 0) await kvCommand(['HDEL', key, ...deletes[type]]);
+  }
+
+  const counts = await fetchCounts(overlapped(meta.countsSyncedAt), locations.map(location => location.id));
+  for (const [locationId, locationCounts] of Object.entries(counts)) await storeCounts(locationCounts, locationId);
+
+  const itemCount = await kvCommand(['HLEN', ITEMS_KEY]);
+  return { ...meta, syncedAt: startedAt, catalogSyncedAt: startedAt, countsSyncedAt: startedAt, itemCount, locations };
+}
+
+// Run a sync under the KV lock. Returns { synced: false, busy: true } if another request holds it.
+export async function syncCatalog({ full = false } = {}) {
+  const lockToken = crypto.randomUUID();
+  if (!(await kvSetNx(LOCK_KEY, lockToken, { ex: LOCK_TTL }))) return { synced: false, busy: true };
+
+  try {
+    const [meta, dirtyBefore] = await Promise.all([kvGetJson(META_KEY), kvCommand(['GET', DIRTY_KEY])]);
+    // A location opened since the last sync may already hold stock, so its counts are read from scratch
+    const locations = (await listLocations({ fresh: full })).map(({ id, name }) => ({ id, name }));
+    const sameLocations = (meta?.locations || []).map(l => l.id).sort().join() === locations.map(l => l.id).sort().join();
+    const isFull = full || !meta?.catalogSyncedAt || !sameLocations;
+    const nextMeta = isFull ? await fullSync(meta, locations) : await incrementalSync(meta, locations);
+    await kvSetJson(META_KEY, nextMeta);
+    if ((await kvCommand(['GET', DIRTY_KEY])) === dirtyBefore) await kvSetJson(FRESH_KEY, true, { ex: FRESH_FOR });
+    return { synced: true, full: isFull, meta: nextMeta };
+  } finally {
+    if ((await kvCommand(['GET', LOCK_KEY])) === lockToken) await kvDel(LOCK_KEY);
+  }
+}
+
+// Bring the snapshot up to date unless it was synced in the last few seconds.
+// A failed incremental sync is reported rather than thrown - the caller can still serve the old snapshot.
+export async function ensureFreshCatalog() {
+  if (await kvCommand(['EXISTS', FRESH_KEY])) return {};
+
+  try {
+    const result = await syncCatalog();
+    if (!result.busy) return {};
+  } catch (error) {
+    console.error('Catalog sync failed:', error);
+    if (await kvGetJson(META_KEY)) return { syncError: error.message };
+    throw error;
+  }
+
+  // Someone else is syncing - fine if a snapshot exists, otherwise wait for the first one to land
+  for (let waited = 0; waited < 25; waited++) {
+    if (await kvGetJson(META_KEY)) return {};
+    await sleep(1000);
+  }
+  throw new Error('The catalog is still being loaded from Square - please try again in a minute');
+}
+
+// Called after a change has already been made in Square, so a KV hiccup here is logged rather than thrown
+export async function markCatalogDirty() {
+  try {
+    await kvCommand(['INCR', DIRTY_KEY]);
+    await kvDel(FRESH_KEY);
+  } catch (error) {
+    console.error('Could not mark catalog snapshot dirty:', error);
+  }
+}
+
+// Every item in the snapshot with category labels, photos and quantities applied, plus the sync metadata.
+// quantity is the count at the gallery (home) location; locationQuantities has every location's non-zero count.
+// categories is the category names map (id -> name), for callers that match categories rather than items.
+// Items archived in Square are left out unless includeArchived is set.
+export async function readCatalog({ includeArchived = false } = {}) {
+  const [items, categories, images, meta] = await Promise.all([
+    kvHGetAllJson(ITEMS_KEY), kvHGetAllJson(CATEGORIES_KEY), kvHGetAllJson(IMAGES_KEY), kvGetJson(META_KEY)
+  ]);
+  const home = process.env.SQUARE_LOCATION_ID;
+  const locationIds = meta?.locations?.map(location => location.id) || [home];
+  const counts = Object.fromEntries(await Promise.all(locationIds.map(async id => [id, await kvHGetAllJson(countsKey(id))])));
+
+  const sumQuantities = (list) => {
+    const totals = {};
+    list.forEach(quantities => Object.entries(quantities).forEach(([id, quantity]) => { totals[id] = (totals[id] || 0) + quantity; }));
+    return totals;
+  };
+
+  return {
+    items: Object.values(items).filter(item => includeArchived || !item.archived).map(item => {
+      // Snapshots taken before variations were listed only know the first one
+      const variations = (item.variations || (item.variationId ? [{ id: item.variationId, version: item.variationVersion, name: '', sku: item.sku, price: item.price }] : []))
+        .map(variation => ({
+          ...variation,
+          quantity: counts[home]?.[variation.id]?.quantity || 0,
+          locationQuantities: Object.fromEntries(locationIds.map(id => [id, counts[id][variation.id]?.quantity || 0]).filter(([, quantity]) => quantity !== 0))
+        }));
+      return {
+        ...applyImages(applyCategory(item, categories), images),
+        variations,
+        quantity: variations.reduce((total, variation) => total + variation.quantity, 0),
+        locationQuantities: sumQuantities(variations.map(variation => variation.locationQuantities))
+      };
+    }),
+    categories,
+    meta
+  };
+}
@@ -0,0 +1,150 @@
+// Helpers for reading the gallery's Square catalog conventions
+// Category format expected: "Artist Name - Type"
+import { readAttributes, formatDimensions } from './attributes.js';
+
+// Get category name - check category_id, then the categories array, then reporting_category
+export const resolveCategoryName = (itemData, categories) => {
+  const candidates = [itemData?.category_id, itemData?.categories?.[0]?.id, itemData?.reporting_category?.id];
+  for (const id of candidates) {
+    if (id && categories[id]) return categories[id];
+  }
+  return '';
+};
+
+// Parse artist name from category (format: "Artist Name - Type")
+export const parseCategoryName = (categoryName = '') => {
+  if (categoryName.includes(' - ')) {
+    const dashIndex = categoryName.lastIndexOf(' - ');
+    return { artistName: categoryName.substring(0, dashIndex), type: categoryName.substring(dashIndex + 3) };
+  }
+  return { artistName: categoryName, type: '' };
+};
+
+export const normalizeArtistName = (name) => (name || '').toLowerCase().trim();
+
+export const sameArtist = (a, b) => !!normalizeArtistName(a) && normalizeArtistName(a) === normalizeArtistName(b);
+
+// SKU prefix for an artist: initials of each word in the name, e.g. "Joan Findley-Perls" -> JFP
+export const getInitials = (name) => {
+  if (!name) return 'XXX';
+  const words = name.trim().split(/[\s\-]+/);
+  let initials = '';
+  for (const word of words) {
+    if (word.length > 0) initials += word[0].toUpperCase();
+  }
+  if (initials.length < 2) initials = name.substring(0, 3).toUpperCase();
+  return initials.substring(0, 4);
+};
+
+const htmlToText = (html) => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/p>/gi, '\n')
+  .replace(/<p>/gi, '')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+  .trim();
+
+// The description_html Square shows for plain text, paragraphs on blank lines
+export const textToHtml = (t) => '<p>' + t.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n\n+/g, '</p><p>').replace(/\n/g, '<br>') + '</p>';
+
+const formatPrice = (variationData) => variationData?.price_money ? (variationData.price_money.amount / 100).toFixed(2) : '0.00';
+
+// Square's catalog/list may return description_html instead of description
+export const itemDescription = (itemData) => {
+  const description = itemData?.description || itemData?.description_plaintext || '';
+  return description || (itemData?.description_html ? htmlToText(itemData.description_html) : '');
+};
+
+// The "Medium:" / "Dimensions:" / "Discounts:" lines items saved before the switch to custom attributes
+// (attributes.js) carry in their description. Returns the values found - with height, width and depth when the
+// dimensions read like 16" x 20" - and the description without the lines named in `strip`.
+const LEGACY_LINES = {
+  medium: /Medium:[^\S\n]*([^\n]*)\n?/i,
+  dimensions: /Dimensions:[^\S\n]*([^\n]*)\n?/i,
+  discounts: /Discounts:[^\S\n]*([^\n]*)\n?/i
+};
+export const parseLegacyDescription = (description, strip = Object.keys(LEGACY_LINES)) => {
+  const legacy = {};
+  let text = description;
+  for (const [field, pattern] of Object.entries(LEGACY_LINES)) {
+    const match = description.match(pattern);
+    if (!match) continue;
+    legacy[field] = match[1].trim();
+    if (strip.includes(field)) text = text.replace(pattern, '');
+  }
+  const size = (legacy.dimensions || '').match(/(\d+\.?\d*)\s*["']\s*x\s*(\d+\.?\d*)(?:\s*["']?\s*x\s*(\d+\.?\d*))?/i);
+  if (size) Object.assign(legacy, { height: size[1], width: size[2], depth: size[3] || '' });
+  return { legacy, description: text.trim() };
+};
+
+// Turn a Square ITEM into the portal's item shape. Category-derived fields (artistName, category, type)
+// are filled in by applyCategory so a snapshot can be re-labelled when a category is renamed,
+// and quantity comes from the inventory counts.
+// Every variation (size, edition, pack) is listed in `variations`; the top-level variationId, sku and price
+// are the first variation's, so code that only knows about single-variation items keeps working.
+// Artwork details come from the custom attributes, falling back to the old description lines; legacyMetadata
+// lists the fields still only held in the description (see api/metadata-migrate.js).
+export const transformItem = (item) => {
+  const itemData = item.item_data || {};
+  const variation = itemData.variations?.[0];
+  const variationData = variation?.item_variation_data || {};
+
+  const structured = readAttributes(itemData);
+  const { legacy, description } = parseLegacyDescription(itemDescription(itemData));
+  const hasSize = (values) => !!(values.height && values.width);
+  const size = hasSize(structured) ? structured : hasSize(legacy) ? legacy : {};
+  const legacyMetadata = [
+    legacy.medium && !structured.medium && 'medium',
+    hasSize(legacy) && !hasSize(structured) && 'dimensions',
+    legacy.discounts && !structured.discounts && 'discounts'
+  ].filter(Boolean);
+
+  return {
+    id: item.id,
+    squareId: item.id,
+    variationId: variation?.id || null,
+    version: item.version,
+    variationVersion: variation?.version || null,
+    title: itemData.name || 'Untitled',
+    categoryIds: [itemData.category_id, itemData.categories?.[0]?.id, itemData.reporting_category?.id].filter(Boolean),
+    imageIds: itemData.image_ids || [],
+    medium: structured.medium || legacy.medium || '',
+    description,
+    dimensions: hasSize(structured) ? formatDimensions(structured) : legacy.dimensions || '',
+    height: size.height || '',
+    width: size.width || '',
+    depth: size.depth || '',
+    year: structured.year || '',
+    framed: structured.framed ?? null,
+    edition: structured.edition || '',
+    discounts: structured.discounts || legacy.discounts || '',
+    legacyMetadata,
+    price: formatPrice(variationData),
+    sku: variationData.sku || item.id,
+    variations: (itemData.variations || []).map(v => ({
+      id: v.id,
+      version: v.version,
+      name: v.item_variation_data?.name || '',
+      sku: v.item_variation_data?.sku || '',
+      price: formatPrice(v.item_variation_data)
+    })),
+    status: 'live',
+    archived: !!itemData.is_archived,
+    updatedAt: item.updated_at,
+    createdAt: item.created_at
+  };
+};
+
+// Photo URLs for an item, primary first, from the images map (id -> { url, caption })
+export const applyImages = (item, images) => {
+  const found = (item.imageIds || []).filter(id => images[id]?.url).map(id => ({ id, url: images[id].url, caption: images[id].caption || '' }));
+  return { ...item, images: found, imageUrl: found[0]?.url || null };
+};
+
+// Fill in artistName / category / type from the category names map (id -> name)
+export const applyCategory = (item, categories) => {
+  const categoryId = (item.categoryIds || []).find(id => categories[id]);
+  const categoryName = categoryId ? categories[categoryId] : '';
+  const { artistName, type } = parseCategoryName(categoryName);
+  return { ...item, artistName, category: categoryName, type };
+};
@@ -0,0 +1,49 @@
+// Artwork types offered in the item forms ("Painting", "Ceramics", ...) - the second half of each Square category
+// cbg-categories           JSON list of names, in the order they are shown
+// cbg-categories:version   bumped on every save; api/categories.js only saves a list made from the current version
+// No list stored yet means the built-in defaults in index.html are in use (version 0).
+import { kvGetJson, kvSetJson, kvCommand, withKvLock } from './kv.js';
+import { recordAudit } from './audit.js';
+
+export const CATEGORIES_KEY = 'cbg-categories';
+const VERSION_KEY = 'cbg-categories:version';
+const MAX_CATEGORIES = 100;
+
+export async function loadCategories() {
+  const [raw, version] = await kvCommand(['MGET', CATEGORIES_KEY, VERSION_KEY]);
+  let categories = null;
+  try { categories = raw ? JSON.parse(raw) : null; } catch (error) { console.error('KV value is not JSON:', CATEGORIES_KEY); }
+  return { categories: Array.isArray(categories) ? categories : null, version: parseInt(version) || 0 };
+}
+
+// The list as it will be stored, or { error }
+export function normalizeCategories(input) {
+  if (!Array.isArray(input) || input.length === 0) return { error: 'categories must be a non-empty list' };
+  if (input.length > MAX_CATEGORIES) return { error: `At most ${MAX_CATEGORIES} categories` };
+  const categories = [];
+  for (const value of input) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name || name.length > 40) return { error: 'Category names must be 1 to 40 characters' };
+    // " - " separates the artist from the type in a Square category name (see catalog.js parseCategoryName)
+    if (name.includes(' - ')) return { error: `"${name}" can't contain " - "` };
+    if (categories.some(existing => existing.toLowerCase() === name.toLowerCase())) return { error: `"${name}" is listed twice` };
+    categories.push(name);
+  }
+  return { categories };
+}
+
+// Save the list if it is still at expectedVersion; otherwise { conflict } with what is stored now
+export async function saveCategories(user, expectedVersion, categories) {
+  const result = await withKvLock(CATEGORIES_KEY, async () => {
+    const current = await loadCategories();
+    if (current.version !== expectedVersion) return { conflict: current };
+    await kvSetJson(CATEGORIES_KEY, categories);
+    const version = await kvCommand(['INCR', VERSION_KEY]);
+    return { before: current.categories || [], saved: { categories, version } };
+  });
+  if (result.conflict) return result;
+
+  for (const type of categories.filter(t => !result.before.includes(t))) await recordAudit(user, 'category.added', { target: { kind: 'category', id: type, label: type } });
+  for (const type of result.before.filter(t => !categories.includes(t))) await recordAudit(user, 'category.removed', { target: { kind: 'category', id: type, label: type } });
+  return result.saved;
+}
@@ -0,0 +1,113 @@
+// Stock count sessions - the quarterly physical count, tallied by scanning SKU labels and saved as it goes so it
+// can be paused and resumed (from another device too), then applied to Square as PHYSICAL_COUNT changes
+// cbg-count-sessions  hash of id -> session:
+//   { id, name, locationId, locationName, status, tallies: { variationId: counted }, startedAt, startedBy,
+//     updatedAt, updatedBy, applying, appliedAt, appliedBy, summary }
+// cbg-count-seq       session ids
+// status is 'open' until the count is applied ('applied') or dropped ('cancelled'). Only the newest
+// KEEP_CLOSED closed sessions are kept. applying { at, lines, sent, error } holds the lines being sent, so a retried
+// apply sends the same ones, and how many of them Square has already taken (sent). applying.error is set when an
+// apply fails, and such a count may still be cancelled - the lines already sent stay set in Square.
+// Every change to a stored session goes through updateSession, so scanners saving together don't lose scans.
+import { kvCommand, kvHGetAllJson, withKvLock } from './kv.js';
+
+const SESSIONS_KEY = 'cbg-count-sessions';
+const SEQ_KEY = 'cbg-count-seq';
+const KEEP_CLOSED = 20;
+
+const parse = (raw) => {
+  try { return JSON.parse(raw); } catch (error) { return null; }
+};
+
+// Newest first
+export async function listSessions() {
+  const sessions = Object.values(await kvHGetAllJson(SESSIONS_KEY));
+  return sessions.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+export async function getSession(id) {
+  return parse(await kvCommand(['HGET', SESSIONS_KEY, String(id)]));
+}
+
+export async function saveSession(session) {
+  await kvCommand(['HSET', SESSIONS_KEY, String(session.id), JSON.stringify(session)]);
+  if (session.status === 'open') return session;
+  const closed = (await listSessions()).filter(s => s.status !== 'open');
+  if (closed.length > KEEP_CLOSED) await kvCommand(['HDEL', SESSIONS_KEY, ...closed.slice(KEEP_CLOSED).map(s => String(s.id))]);
+  return session;
+}
+
+// Read, change and save one session under a lock. change gets the stored session (null if there is none) and
+// returns the session to save, or nothing to leave it as it is. Returns the session as stored afterwards.
+export async function updateSession(id, change) {
+  return withKvLock(`${SESSIONS_KEY}:${id}`, async () => {
+    const current = await getSession(id);
+    const next = await change(current);
+    return next ? saveSession(next) : current;
+  });
+}
+
+export async function createSession(user, { name, location }) {
+  const now = new Date().toISOString();
+  const session = {
+    id: await kvCommand(['INCR', SEQ_KEY]),
+    name: String(name || '').trim().slice(0, 60) || `${location.name} count ${now.slice(0, 10)}`,
+    locationId: location.id,
+    locationName: location.name,
+    status: 'open',
+    tallies: {},
+    startedAt: now,
+    startedBy: user.name || user.username,
+    updatedAt: now,
+    updatedBy: user.name || user.username
+  };
+  return saveSession(session);
+}
+
+// Without the tallies, for lists
+// linesSent: how many quantities a failed apply already set in Square
+export const sessionSummary = ({ tallies, applying, ...session }) => ({
+  ...session,
+  linesSent: applying?.sent || 0,
+  counted: Object.values(tallies || {}).reduce((total, n) => total + n, 0),
+  variationsCounted: Object.keys(tallies || {}).length
+});
+
+const lineLabel = (item, variation) => item.variations.length > 1 && variation.name ? `${item.title} (${variation.name})` : item.title;
+
+// Counted versus Square for every variation that was scanned or that Square has in stock at the session's location.
+// counted is null for variations nobody scanned; expected is the snapshot's count, which keeps moving if
+// anything sells while the count is going on. Tallies for variations no longer in the catalog are in `unknown`.
+export function countReport(session, items) {
+  const lines = [];
+  const known = new Set();
+  for (const item of items) {
+    for (const variation of item.variations) {
+      known.add(variation.id);
+      const expected = variation.locationQuantities?.[session.locationId] || 0;
+      const counted = session.tallies[variation.id] ?? null;
+      if (counted === null && expected <= 0) continue;
+      lines.push({
+        variationId: variation.id,
+        itemId: item.squareId,
+        title: lineLabel(item, variation),
+        sku: variation.sku,
+        artistName: item.artistName,
+        expected,
+        counted,
+        difference: (counted ?? 0) - expected
+      });
+    }
+  }
+  lines.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference) || a.title.localeCompare(b.title));
+  return {
+    lines,
+    unknown: Object.keys(session.tallies).filter(id => !known.has(id)),
+    totals: {
+      expected: lines.reduce((total, line) => total + line.expected, 0),
+      counted: lines.reduce((total, line) => total + (line.counted ?? 0), 0),
+      discrepancies: lines.filter(line => line.difference !== 0).length,
+      notScanned: lines.filter(line => line.counted === null).length
+    }
+  };
+}
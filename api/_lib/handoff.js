@@ -0,0 +1,70 @@
+// Signed tokens shared with the integrated Supabase portal
+// Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256(PORTAL_HANDOFF_SECRET, first part))
+// Payload: { sub: username, role, aud, iat, exp, jti } - times are Unix seconds
+// aud keeps token kinds apart: 'handoff' for auto-login links, 'financials' for the dashboard's API calls
+import crypto from 'crypto';
+
+const CLOCK_SKEW = 10; // seconds
+export const MAX_HANDOFF_TTL = 120;
+
+export class HandoffError extends Error {
+  constructor(reason) {
+    super(`Hand-off token rejected: ${reason}`);
+    this.reason = reason;
+  }
+}
+
+const getSecret = () => {
+  const secret = process.env.PORTAL_HANDOFF_SECRET;
+  if (!secret) throw new Error('PORTAL_HANDOFF_SECRET not configured');
+  return secret;
+};
+
+const sign = (payloadPart) => crypto.createHmac('sha256', getSecret()).update(payloadPart).digest('base64url');
+
+// Mirrors what the integrated portal does when it builds a link to the inventory portal
+export function signHandoffToken({ username, role, aud = 'handoff' }, { ttl = 60 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: username, role, aud, iat: now, exp: now + ttl, jti: crypto.randomUUID() };
+  const payloadPart = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${payloadPart}.${sign(payloadPart)}`;
+}
+
+// Check signature, audience and lifetime; single-use enforcement is left to the caller (it needs KV).
+// Hand-off tokens may omit aud; any other audience must match exactly.
+export function verifyHandoffToken(token, { maxTtl = MAX_HANDOFF_TTL, audience = 'handoff' } = {}) {
+  const [payloadPart, signaturePart, extra] = String(token || '').split('.');
+  if (!payloadPart || !signaturePart || extra !== undefined) throw new HandoffError('malformed');
+
+  const expected = Buffer.from(sign(payloadPart));
+  const actual = Buffer.from(signaturePart);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new HandoffError('bad signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new HandoffError('unreadable payload');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!payload.sub || !payload.jti || !Number.isFinite(payload.exp) || !Number.isFinite(payload.iat)) throw new HandoffError('missing claims');
+  if (payload.exp < now - CLOCK_SKEW) throw new HandoffError('expired');
+  if (payload.iat > now + CLOCK_SKEW) throw new HandoffError('issued in the future');
+  if (payload.exp - payload.iat > maxTtl) throw new HandoffError('lifetime too long');
+  if ((payload.aud || 'handoff') !== audience) throw new HandoffError(`wrong audience ${payload.aud}`);
+
+  return payload;
+}
+
+// Bearer tokens the integrated portal mints for its own pages to call this API directly.
+// Unlike hand-off tokens they are reusable until they expire, so keep the lifetime short.
+export function verifyPortalBearer(req, { audience, roles, maxTtl = 60 * 15 }) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  const payload = verifyHandoffToken(token, { maxTtl, audience });
+  if (!roles.includes(payload.role)) throw new HandoffError(`role ${payload.role} not allowed`);
+  return payload;
+}
@@ -0,0 +1,107 @@
+// Shared helpers for talking to the Upstash KV REST API from API routes
+// Commands are sent as a JSON array to the REST root, e.g. ['SET', key, value, 'EX', 60]
+import crypto from 'crypto';
+
+export const kvConfigured = () => !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+
+export async function kvCommand(command) {
+  const KV_URL = process.env.KV_REST_API_URL;
+  const KV_TOKEN = process.env.KV_REST_API_TOKEN;
+
+  if (!KV_URL || !KV_TOKEN) {
+    throw new Error('KV not configured');
+  }
+
+  const response = await fetch(KV_URL, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${KV_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(command.map(part => typeof part === 'number' ? String(part) : part))
+  });
+  const data = await response.json();
+
+  if (!response.ok || data.error) {
+    throw new Error(`KV ${command[0]} failed: ${data.error || response.status}`);
+  }
+
+  return data.result;
+}
+
+export async function kvGetJson(key) {
+  const raw = await kvCommand(['GET', key]);
+  if (raw === null || raw === undefined) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('KV value is not JSON:', key);
+    return null;
+  }
+}
+
+export async function kvSetJson(key, value, { ex } = {}) {
+  const command = ['SET', key, JSON.stringify(value)];
+  if (ex) command.push('EX', ex);
+  return (await kvCommand(command)) === 'OK';
+}
+
+// SET only if the key does not exist yet - returns true if this call created it
+export async function kvSetNx(key, value, { ex } = {}) {
+  const command = ['SET', key, typeof value === 'string' ? value : JSON.stringify(value), 'NX'];
+  if (ex) command.push('EX', ex);
+  return (await kvCommand(command)) === 'OK';
+}
+
+export const kvDel = (key) => kvCommand(['DEL', key]);
+
+// Increment a counter, starting its expiry window on the first hit
+export async function kvIncr(key, { ex } = {}) {
+  const count = await kvCommand(['INCR', key]);
+  if (ex && count === 1) await kvCommand(['EXPIRE', key, ex]);
+  return count;
+}
+
+// Whole hash as { field: parsed JSON value }; fields that aren't JSON are skipped
+export async function kvHGetAllJson(key) {
+  const flat = (await kvCommand(['HGETALL', key])) || [];
+  const result = {};
+  for (let i = 0; i < flat.length; i += 2) {
+    try {
+      result[flat[i]] = JSON.parse(flat[i + 1]);
+    } catch (error) {
+      console.error('KV hash field is not JSON:', key, flat[i]);
+    }
+  }
+  return result;
+}
+
+// HSET many { field: value } pairs as JSON, a few hundred per request to stay under the REST size limit
+export async function kvHSetJson(key, fields, { chunkSize = 200 } = {}) {
+  const entries = Object.entries(fields);
+  for (let i = 0; i < entries.length; i += chunkSize) {
+    const args = entries.slice(i, i + chunkSize).flatMap(([field, value]) => [field, JSON.stringify(value)]);
+    await kvCommand(['HSET', key, ...args]);
+  }
+}
+
+// Thrown by withKvLock when someone else held the lock for the whole wait
+export class KvBusyError extends Error {
+  constructor(message = 'Someone else is saving this right now - please try again in a moment') {
+    super(message);
+    this.name = 'KvBusyError';
+  }
+}
+
+// Run fn while holding the lock <name>:lock, so a read-compare-write of a shared key can't interleave with another.
+// The lock expires after ttl seconds in case a function dies holding it, and is only released by its holder.
+export async function withKvLock(name, fn, { ttl = 10, waitMs = 3000 } = {}) {
+  const key = `${name}:lock`;
+  const token = crypto.randomUUID();
+  for (let waited = 0; !(await kvSetNx(key, token, { ex: ttl })); waited += 100) {
+    if (waited >= waitMs) throw new KvBusyError();
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  try {
+    return await fn();
+  } finally {
+    if ((await kvCommand(['GET', key])) === token) await kvDel(key);
+  }
+}
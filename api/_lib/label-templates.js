@@ -0,0 +1,185 @@
+// Label templates - page size, grid, fields, fonts and barcode for the SKU and wall labels the browser prints
+// cbg-label-templates  hash of id -> template, for templates admins added and built-in ones they edited
+// Built-in templates (the gallery's DYMO rolls and the Avery sheets for printing at home) are defined below;
+// a stored template with the same id replaces one, and removing it brings the built-in back.
+// Sizes are inches, font sizes points and field spacing (the gap below a field) pixels.
+// Rendering - and HTML-escaping every value - happens in the browser (renderLabelsHtml in index.html).
+// While an item is in a sale, price and priceRange print the sale price with the regular one after it, and the
+// sale field says which sale and until when (blank otherwise).
+import { kvCommand, kvHGetAllJson } from './kv.js';
+
+const TEMPLATES_KEY = 'cbg-label-templates';
+
+export const LABEL_FIELDS = ['artist', 'category', 'title', 'medium', 'type', 'price', 'priceRange', 'sale', 'sku', 'dimensions', 'year', 'edition'];
+const BARCODE_FORMATS = ['CODE128', 'CODE39'];
+const MAX_FIELDS = 12;
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'dymo-sku',
+    name: 'DYMO 550 Turbo · 30336',
+    kind: 'sku',
+    layout: 'roll',
+    notice: 'Select printer DYMO 550 TURBO · Label 30336 (2.125" x 1") Portrait',
+    page: { width: 2.125, height: 1, margin: [0, 0, 0, 0] },
+    label: { width: 2, height: 0.85, padding: [0.03, 0, 0, 0], columns: 1, align: 'top' },
+    font: 'Arial, sans-serif',
+    fields: [
+      { field: 'category', size: 7, bold: true },
+      { field: 'title', size: 8, spacing: 1 },
+      { field: 'price', size: 10, bold: true }
+    ],
+    barcode: { format: 'CODE128', width: 1.5, height: 18, fontSize: 9, showText: true }
+  },
+  {
+    id: 'dymo-wall',
+    name: 'DYMO 550 · 30374 appointment card',
+    kind: 'wall',
+    layout: 'roll',
+    notice: 'Select printer DYMO 550 (not Turbo!) · Label 30374 Landscape',
+    page: { width: 3.5, height: 2, margin: [0.375, 0.15, 0.2, 0.28] },
+    label: { width: 3.07, height: 1.2, padding: [0, 0, 0, 0], columns: 1, align: 'top' },
+    font: "'Aptos', Calibri, Arial, sans-serif",
+    fields: [
+      { field: 'artist', size: 16, bold: true, spacing: 4 },
+      { field: 'title', size: 17, italic: true, spacing: 4, shrinkAfter: 27, shrinkStep: 0.5, minSize: 14 },
+      { field: 'medium', size: 14, color: '#333333', spacing: 4, maxLength: 30 },
+      { field: 'priceRange', size: 16, bold: true }
+    ],
+    barcode: null
+  },
+  {
+    id: 'avery-5160',
+    name: 'Avery 5160 sheet (home printer)',
+    kind: 'sku',
+    layout: 'sheet',
+    notice: 'Print on Avery 5160 label sheets (30 per sheet, 1" x 2-5/8") with your regular printer',
+    page: { width: 8.5, height: 11, margin: [0.5, 0.19, 0.5, 0.19] },
+    label: { width: 2.625, height: 1, padding: [0.06, 0.08, 0.02, 0.08], columns: 3, align: 'top' },
+    font: 'Arial, sans-serif',
+    fields: [
+      { field: 'category', size: 6.5, bold: true },
+      { field: 'title', size: 7, spacing: 1, oneLine: true },
+      { field: 'price', size: 8, bold: true }
+    ],
+    barcode: { format: 'CODE128', width: 1.2, height: 16, fontSize: 8, showText: true }
+  },
+  {
+    id: 'avery-5371',
+    name: 'Avery 5371 business cards (home printer)',
+    kind: 'wall',
+    layout: 'sheet',
+    notice: 'Print on Avery 5371 business card sheets (10 per sheet, 3.5" x 2") with your regular printer',
+    page: { width: 8.5, height: 11, margin: [0.5, 0.75, 0.5, 0.75] },
+    label: { width: 3.5, height: 2, padding: [0.15, 0.2, 0.15, 0.2], columns: 2, align: 'center' },
+    font: "'Aptos', Calibri, Arial, sans-serif",
+    fields: [
+      { field: 'artist', size: 14, bold: true, spacing: 3 },
+      { field: 'title', size: 15, italic: true, spacing: 3, shrinkAfter: 25, shrinkStep: 0.4, minSize: 12 },
+      { field: 'medium', size: 12, color: '#333333', spacing: 3, maxLength: 30 },
+      { field: 'priceRange', size: 14, bold: true }
+    ],
+    barcode: null
+  }
+];
+
+export const isBuiltIn = (id) => DEFAULT_TEMPLATES.some(template => template.id === id);
+
+// Built-ins (as edited, if they were) first, then the added ones by name
+export async function listTemplates() {
+  const stored = await kvHGetAllJson(TEMPLATES_KEY);
+  const builtIns = DEFAULT_TEMPLATES.map(template => stored[template.id] ? { ...stored[template.id], builtIn: true, edited: true } : { ...template, builtIn: true, edited: false });
+  const added = Object.values(stored).filter(template => !isBuiltIn(template.id)).sort((a, b) => a.name.localeCompare(b.name));
+  return [...builtIns, ...added.map(template => ({ ...template, builtIn: false, edited: false }))];
+}
+
+export async function getTemplate(id) {
+  return (await listTemplates()).find(template => template.id === id) || null;
+}
+
+export const saveTemplate = (template) => kvCommand(['HSET', TEMPLATES_KEY, template.id, JSON.stringify(template)]);
+
+export const removeTemplate = (id) => kvCommand(['HDEL', TEMPLATES_KEY, id]);
+
+const number = (value, min, max) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? Math.round(n * 1000) / 1000 : null;
+};
+
+const text = (value, maxLength) => String(value ?? '').trim().slice(0, maxLength);
+
+// The template as it will be stored, or { error }. Unknown keys are dropped; fonts and colours are limited to
+// characters that can't break out of the CSS they are written into.
+export function normalizeTemplate(input) {
+  if (!input || typeof input !== 'object') return { error: 'template is required' };
+  const name = text(input.name, 60);
+  if (!name) return { error: 'Give the template a name' };
+  if (!['sku', 'wall'].includes(input.kind)) return { error: 'kind must be "sku" or "wall"' };
+  const layout = input.layout === 'sheet' ? 'sheet' : 'roll';
+
+  const page = { width: number(input.page?.width, 0.5, 17), height: number(input.page?.height, 0.5, 22) };
+  if (page.width === null || page.height === null) return { error: 'Page width and height must be between 0.5 and 17/22 inches' };
+  const margin = [0, 1, 2, 3].map(i => number(input.page?.margin?.[i] ?? 0, 0, 3));
+  if (margin.includes(null)) return { error: 'Page margins must be between 0 and 3 inches' };
+
+  const label = {
+    width: number(input.label?.width, 0.25, 17),
+    height: number(input.label?.height, 0.25, 22),
+    padding: [0, 1, 2, 3].map(i => number(input.label?.padding?.[i] ?? 0, 0, 2)),
+    columns: layout === 'sheet' ? number(input.label?.columns, 1, 10) : 1,
+    align: input.label?.align === 'center' ? 'center' : 'top'
+  };
+  if (label.width === null || label.height === null) return { error: 'Label width and height must be at least 0.25 inches' };
+  if (label.padding.includes(null)) return { error: 'Label padding must be between 0 and 2 inches' };
+  if (label.columns === null || !Number.isInteger(label.columns)) return { error: 'Columns must be a whole number from 1 to 10' };
+  if (label.width * label.columns > page.width - margin[1] - margin[3] + 0.01) return { error: `${label.columns} labels ${label.width}" wide don't fit across the page` };
+
+  const fields = Array.isArray(input.fields) ? input.fields.slice(0, MAX_FIELDS + 1) : [];
+  if (fields.length === 0 || fields.length > MAX_FIELDS) return { error: `A template needs 1 to ${MAX_FIELDS} fields` };
+  const normalizedFields = [];
+  for (const f of fields) {
+    if (!LABEL_FIELDS.includes(f?.field)) return { error: `Unknown field "${f?.field}"` };
+    const size = number(f.size, 4, 72);
+    if (size === null) return { error: `Font size of ${f.field} must be between 4 and 72 pt` };
+    const field = { field: f.field, size };
+    if (f.bold) field.bold = true;
+    if (f.italic) field.italic = true;
+    if (f.oneLine) field.oneLine = true;
+    if (/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(f.color || '')) field.color = f.color;
+    if (number(f.spacing, 0.5, 50)) field.spacing = number(f.spacing, 0.5, 50);
+    if (number(f.maxLength, 3, 200)) field.maxLength = Math.round(f.maxLength);
+    if (number(f.shrinkAfter, 1, 200)) {
+      field.shrinkAfter = Math.round(f.shrinkAfter);
+      field.shrinkStep = number(f.shrinkStep, 0.05, 5) ?? 0.5;
+      field.minSize = Math.min(size, number(f.minSize, 4, 72) ?? size);
+    }
+    normalizedFields.push(field);
+  }
+
+  let barcode = null;
+  if (input.barcode) {
+    barcode = {
+      format: BARCODE_FORMATS.includes(input.barcode.format) ? input.barcode.format : 'CODE128',
+      width: number(input.barcode.width, 0.5, 5),
+      height: number(input.barcode.height, 5, 200),
+      fontSize: number(input.barcode.fontSize ?? 9, 4, 36),
+      showText: input.barcode.showText !== false
+    };
+    if (barcode.width === null || barcode.height === null || barcode.fontSize === null) return { error: 'Barcode bar width must be 0.5-5, height 5-200 and text size 4-36' };
+  }
+
+  return {
+    template: {
+      id: text(input.id, 64),
+      name,
+      kind: input.kind,
+      layout,
+      notice: text(input.notice, 200),
+      page: { ...page, margin },
+      label,
+      font: text(input.font, 100).replace(/[^\w\s,'-]/g, '') || 'Arial, sans-serif',
+      fields: normalizedFields,
+      barcode
+    }
+  };
+}
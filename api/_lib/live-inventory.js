@@ -0,0 +1,70 @@
+// Server-side inventory cache fed by Square webhooks (see api/square-webhook.js)
+// cbg-inv-counts:  hash of variation ID -> { quantity, calculatedAt } for the gallery location (IN_STOCK only)
+// cbg-inv-counts:<locationId>  the same for each other Square location (storage, off-site shows - see locations.js)
+// cbg-inv-events:  capped list of recent changes, newest first; each has a seq from cbg-inv-event-seq
+//                  so browsers can poll for "everything after N" (api/inventory-live.js)
+// cbg-catalog-version: last catalog.version.updated timestamp
+// cbg-inv-request:<scope>:<requestId>  when a browser request first reached us (see changeTime)
+import { kvCommand, kvGetJson, kvSetJson, kvSetNx, kvHSetJson } from './kv.js';
+
+export const COUNTS_KEY = 'cbg-inv-counts';
+export const countsKey = (locationId) => !locationId || locationId === process.env.SQUARE_LOCATION_ID ? COUNTS_KEY : `${COUNTS_KEY}:${locationId}`;
+const EVENTS_KEY = 'cbg-inv-events';
+const SEQ_KEY = 'cbg-inv-event-seq';
+const CATALOG_VERSION_KEY = 'cbg-catalog-version';
+const MAX_EVENTS = 500;
+const REQUEST_TTL = 60 * 60 * 24; // Square keeps idempotency keys for at least a day
+
+const parse = (raw) => {
+  try { return JSON.parse(raw); } catch (error) { return null; }
+};
+
+// Event types: 'count' { variationId, locationId, quantity }, 'sold' { orderId, variationId, itemId, title, artistName, quantity }, 'catalog' { updatedAt }
+export async function pushEvent(event) {
+  const seq = await kvCommand(['INCR', SEQ_KEY]);
+  const entry = { seq, at: new Date().toISOString(), ...event };
+  await kvCommand(['LPUSH', EVENTS_KEY, JSON.stringify(entry)]);
+  await kvCommand(['LTRIM', EVENTS_KEY, 0, MAX_EVENTS - 1]);
+  return entry;
+}
+
+// Store a count unless we already hold a newer one - Square does not guarantee delivery order
+export async function recordCount({ variationId, locationId = process.env.SQUARE_LOCATION_ID, quantity, calculatedAt }) {
+  const key = countsKey(locationId);
+  const current = parse(await kvCommand(['HGET', key, variationId]));
+  if (current?.calculatedAt && calculatedAt && new Date(current.calculatedAt) > new Date(calculatedAt)) return false;
+  await kvCommand(['HSET', key, variationId, JSON.stringify({ quantity, calculatedAt })]);
+  await pushEvent({ type: 'count', variationId, locationId, quantity });
+  return true;
+}
+
+// occurred_at for an inventory change: the time the request with this requestId first arrived, so a resend sends
+// Square the same body under the same idempotency key (a different body is refused)
+export async function changeTime(scope, requestId) {
+  const now = new Date().toISOString();
+  if (!requestId) return now;
+  const key = `cbg-inv-request:${scope}:${requestId}`;
+  if (await kvSetNx(key, now, { ex: REQUEST_TTL })) return now;
+  return (await kvCommand(['GET', key])) || now;
+}
+
+// Bulk write from a catalog sync (api/_lib/catalog-snapshot.js) - no events, the sync reloads everything anyway
+export const storeCounts = (counts, locationId) => kvHSetJson(countsKey(locationId), counts);
+
+export async function recordCatalogVersion(updatedAt) {
+  const current = await kvGetJson(CATALOG_VERSION_KEY);
+  if (current?.updatedAt && new Date(current.updatedAt) >= new Date(updatedAt)) return false;
+  await kvSetJson(CATALOG_VERSION_KEY, { updatedAt });
+  await pushEvent({ type: 'catalog', updatedAt });
+  return true;
+}
+
+// Events with seq > after, oldest first. resync is set when the caller has fallen further
+// behind than the list reaches, so it should reload the whole inventory instead.
+export async function eventsAfter(after) {
+  const [latest, raw] = await Promise.all([kvCommand(['GET', SEQ_KEY]), kvCommand(['LRANGE', EVENTS_KEY, 0, MAX_EVENTS - 1])]);
+  const latestSeq = parseInt(latest) || 0;
+  const events = (raw || []).map(parse).filter(event => event && event.seq > after).reverse();
+  const resync = after < latestSeq && (events.length === 0 || events[0].seq > after + 1);
+  return { latestSeq, events, resync };
+}
@@ -0,0 +1,34 @@
+// The merchant's Square locations - the gallery itself (SQUARE_LOCATION_ID, the "home" location), plus
+// storage, off-site shows and anything else set up in Square's dashboard
+// cbg-locations: the list as last read from Square, cached for LOCATIONS_TTL seconds
+import { kvGetJson, kvSetJson } from './kv.js';
+import { squareGet } from './square.js';
+
+const LOCATIONS_KEY = 'cbg-locations';
+const LOCATIONS_TTL = 60 * 10;
+
+export const homeLocationId = () => process.env.SQUARE_LOCATION_ID;
+
+// [{ id, name, active, isHome }], home location first. Closed locations are left out unless includeInactive -
+// their old sales still belong on statements.
+export async function listLocations({ includeInactive = false, fresh = false } = {}) {
+  let locations = fresh ? null : await kvGetJson(LOCATIONS_KEY);
+  if (!locations) {
+    const data = await squareGet('locations');
+    locations = (data.locations || []).map(location => ({ id: location.id, name: location.name || location.id, active: location.status === 'ACTIVE' }));
+    await kvSetJson(LOCATIONS_KEY, locations, { ex: LOCATIONS_TTL });
+  }
+
+  const home = homeLocationId();
+  // The home location is always listed, even if the token can't see it in the list
+  if (!locations.some(location => location.id === home)) locations = [{ id: home, name: 'Gallery', active: true }, ...locations];
+  return locations
+    .filter(location => includeInactive || location.active || location.id === home)
+    .map(location => ({ ...location, isHome: location.id === home }))
+    .sort((a, b) => b.isHome - a.isHome);
+}
+
+export async function findLocation(locationId) {
+  const locations = await listLocations();
+  return locations.find(location => location.id === locationId) || null;
+}
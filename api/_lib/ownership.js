@@ -0,0 +1,48 @@
+// Ownership checks for the Square write endpoints
+// Artists may only touch items whose category parses to their own name; admins and sub-admins may touch everything
+import { resolveCategoryName, parseCategoryName, sameArtist } from './catalog.js';
+import { isAdminUser } from './auth.js';
+import { retrieveCatalogObject, squarePost } from './square.js';
+
+export const FORBIDDEN_MESSAGE = 'You can only change your own artwork';
+
+export const canManageArtist = (user, artistName) => isAdminUser(user) || sameArtist(user?.name, artistName);
+
+// Look up which artist owns a catalog ITEM, from its "Artist Name - Type" category
+export async function fetchItemOwner(itemId) {
+  const data = await retrieveCatalogObject(itemId, { includeRelated: true });
+  if (!data?.object) return null;
+
+  const categories = {};
+  (data.related_objects || []).filter(obj => obj.type === 'CATEGORY').forEach(cat => {
+    categories[cat.id] = cat.category_data?.name || '';
+  });
+  const categoryName = resolveCategoryName(data.object.item_data, categories);
+
+  return { item: data.object, categoryName, artistName: parseCategoryName(categoryName).artistName };
+}
+
+// fetchItemOwner for many items in one call: Map of itemId -> owner (missing or deleted items are left out)
+export async function fetchItemOwners(itemIds) {
+  const owners = new Map();
+  if (itemIds.length === 0) return owners;
+  const data = await squarePost('catalog/batch-retrieve', { object_ids: [...new Set(itemIds)], include_related_objects: true });
+
+  const categories = {};
+  (data.related_objects || []).filter(obj => obj.type === 'CATEGORY').forEach(cat => {
+    categories[cat.id] = cat.category_data?.name || '';
+  });
+  (data.objects || []).filter(obj => obj.type === 'ITEM' && !obj.is_deleted).forEach(item => {
+    const categoryName = resolveCategoryName(item.item_data, categories);
+    owners.set(item.id, { item, categoryName, artistName: parseCategoryName(categoryName).artistName });
+  });
+  return owners;
+}
+
+// Same as fetchItemOwner, starting from an ITEM_VARIATION id
+export async function fetchVariationOwner(variationId) {
+  const data = await retrieveCatalogObject(variationId);
+  const itemId = data?.object?.item_variation_data?.item_id;
+  if (!itemId) return null;
+  return fetchItemOwner(itemId);
+}
@@ -0,0 +1,31 @@
+// Password hashing with Node's built-in scrypt
+// Stored format: scrypt$<salt hex>$<derived key hex>
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const [scheme, saltHex, keyHex] = stored.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Readable one-time passwords for new and reset accounts (no 0/O/1/l lookalikes)
+export const generateTempPassword = (length = 10) => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+};
@@ -0,0 +1,187 @@
+// Sales - "20% off all Cards during the Holiday Show", "10% off Jane Doe through March 31" - run by the register
+// cbg-promotions   hash of id -> promotion:
+//   { id, name, kind: 'percent' | 'amount', value, artists, types, itemIds, startDate, endDate, productIds,
+//     square: { discountId, productSetId, pricingRuleId }, createdAt, createdBy, updatedAt, updatedBy }
+// Each promotion is three Square catalog objects: a DISCOUNT (what comes off), a PRODUCT_SET (what it applies to)
+// and a PRICING_RULE tying them together between startDate and endDate (inclusive, gallery time), so Square
+// applies it at the register without anyone choosing it. The id is the pricing rule's.
+// Targets: artists and types pick the "Artist - Type" categories they both match (either alone matches every
+// category of that artist or type), and itemIds adds single items. The categories are looked up when the
+// promotion is saved - an artist's or type's category added later is picked up the next time it is saved.
+import { kvCommand, kvHGetAllJson } from './kv.js';
+import { parseCategoryName, normalizeArtistName, sameArtist } from './catalog.js';
+import { GALLERY_TIME_ZONE } from './sales.js';
+import { squarePost, idempotencyKey } from './square.js';
+
+const PROMOTIONS_KEY = 'cbg-promotions';
+const MAX_PRODUCTS = 500; // Square's limit on product_ids_any
+const MAX_ITEMS = 200;
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+export const todayInGallery = () => new Intl.DateTimeFormat('en-CA', { timeZone: GALLERY_TIME_ZONE }).format(new Date());
+
+// 'scheduled', 'active' or 'ended' on the given YYYY-MM-DD day
+export const promotionStatus = (promotion, today = todayInGallery()) => {
+  if (promotion.startDate > today) return 'scheduled';
+  if (promotion.endDate && promotion.endDate < today) return 'ended';
+  return 'active';
+};
+
+// "20% off" / "$5.00 off"
+export const discountLabel = ({ kind, value }) => kind === 'percent' ? `${value}% off` : `$${value.toFixed(2)} off`;
+
+const salePrice = (price, { kind, value }) => {
+  const cents = Math.round((parseFloat(price) || 0) * 100);
+  const off = kind === 'percent' ? Math.round(cents * value / 100) : Math.round(value * 100);
+  return (Math.max(0, cents - off) / 100).toFixed(2);
+};
+
+export async function listPromotions() {
+  return Object.values(await kvHGetAllJson(PROMOTIONS_KEY)).sort((a, b) => b.startDate.localeCompare(a.startDate) || a.name.localeCompare(b.name));
+}
+
+export async function getPromotion(id) {
+  const raw = await kvCommand(['HGET', PROMOTIONS_KEY, String(id)]);
+  try { return raw ? JSON.parse(raw) : null; } catch (error) { return null; }
+}
+
+export const savePromotion = (promotion) => kvCommand(['HSET', PROMOTIONS_KEY, promotion.id, JSON.stringify(promotion)]);
+
+export const removePromotion = (id) => kvCommand(['HDEL', PROMOTIONS_KEY, String(id)]);
+
+const textList = (value, maxLength) => [...new Set((Array.isArray(value) ? value : []).map(v => String(v ?? '').trim().slice(0, maxLength)).filter(Boolean))];
+
+// The promotion's own fields as they will be stored, or { error }
+export function normalizePromotion(input) {
+  if (!input || typeof input !== 'object') return { error: 'promotion is required' };
+  const name = String(input.name ?? '').trim();
+  if (!name || name.length > 60) return { error: 'Give the sale a name of up to 60 characters - it shows on receipts' };
+  if (!['percent', 'amount'].includes(input.kind)) return { error: 'kind must be "percent" or "amount"' };
+  const value = Math.round(Number(input.value) * 100) / 100;
+  if (input.kind === 'percent' && !(value > 0 && value <= 100)) return { error: 'The percentage must be more than 0 and at most 100' };
+  if (input.kind === 'amount' && !(value > 0 && value <= 100000)) return { error: 'The amount off must be more than $0' };
+
+  const artists = textList(input.artists, 80);
+  const types = textList(input.types, 40);
+  const itemIds = textList(input.itemIds, 64);
+  if (artists.length + types.length + itemIds.length === 0) return { error: 'Choose the artists, artwork types or items the sale is for' };
+  if (itemIds.length > MAX_ITEMS) return { error: `At most ${MAX_ITEMS} single items per sale - target an artist or type instead` };
+
+  if (!isDate(input.startDate)) return { error: 'Start date is required' };
+  const endDate = input.endDate || null;
+  if (endDate !== null && !isDate(endDate)) return { error: 'End date must be a date' };
+  if (endDate && endDate < input.startDate) return { error: 'The sale has to end on or after the day it starts' };
+
+  return { promotion: { name, kind: input.kind, value, artists, types, itemIds, startDate: input.startDate, endDate } };
+}
+
+// The catalog IDs for the product set: matching category IDs from the snapshot's categories (id -> name), then the
+// items. Returns { productIds } or { error }.
+export function resolveProducts(promotion, categories, items) {
+  const wantsArtist = (name) => promotion.artists.length === 0 || promotion.artists.some(artist => sameArtist(artist, name));
+  const wantsType = (type) => promotion.types.length === 0 || promotion.types.some(t => normalizeArtistName(t) === normalizeArtistName(type));
+  const categoryIds = promotion.artists.length + promotion.types.length === 0 ? [] : Object.entries(categories)
+    .filter(([, name]) => {
+      const { artistName, type } = parseCategoryName(name);
+      return wantsArtist(artistName) && wantsType(type);
+    })
+    .map(([id]) => id);
+
+  const known = new Set(items.map(item => item.squareId));
+  const missing = promotion.itemIds.filter(id => !known.has(id));
+  if (missing.length > 0) return { error: `${missing.length} of the chosen items are no longer in Square` };
+
+  const productIds = [...new Set([...categoryIds, ...promotion.itemIds])];
+  if (productIds.length === 0) return { error: 'No artist and type in Square matches - check the spelling' };
+  if (productIds.length > MAX_PRODUCTS) return { error: `The sale matches ${productIds.length} categories and items - Square allows ${MAX_PRODUCTS}` };
+  return { productIds };
+}
+
+// Create or update the promotion's three Square objects in one batch. current is what Square holds now
+// (catalog objects by id, from batch-retrieve); any of the three that is missing - deleted in the Square
+// Dashboard, or a new promotion - is created again. Returns the { discountId, productSetId, pricingRuleId } saved.
+// draftId comes from the browser's new-sale form, so resending it doesn't make a second set while deleting a sale
+// and making the same one again does.
+export async function upsertSquareObjects(promotion, current = {}, { draftId = null } = {}) {
+  const ids = promotion.square || {};
+  const existing = (id) => id && current[id] && !current[id].is_deleted ? current[id] : null;
+  const discount = existing(ids.discountId);
+  const productSet = existing(ids.productSetId);
+  const pricingRule = existing(ids.pricingRuleId);
+
+  const objects = [
+    {
+      type: 'DISCOUNT',
+      id: discount?.id || '#discount',
+      version: discount?.version,
+      discount_data: {
+        name: promotion.name,
+        discount_type: promotion.kind === 'percent' ? 'FIXED_PERCENTAGE' : 'FIXED_AMOUNT',
+        percentage: promotion.kind === 'percent' ? String(promotion.value) : undefined,
+        amount_money: promotion.kind === 'amount' ? { amount: Math.round(promotion.value * 100), currency: 'USD' } : undefined,
+        modify_tax_basis: 'MODIFY_TAX_BASIS'
+      }
+    },
+    {
+      type: 'PRODUCT_SET',
+      id: productSet?.id || '#product-set',
+      version: productSet?.version,
+      product_set_data: { name: promotion.name, product_ids_any: promotion.productIds }
+    },
+    {
+      type: 'PRICING_RULE',
+      id: pricingRule?.id || '#pricing-rule',
+      version: pricingRule?.version,
+      pricing_rule_data: {
+        name: promotion.name,
+        discount_id: discount?.id || '#discount',
+        match_products_id: productSet?.id || '#product-set',
+        valid_from_date: promotion.startDate,
+        valid_until_date: promotion.endDate || undefined
+      }
+    }
+  ];
+
+  const data = await squarePost('catalog/batch-upsert', {
+    idempotency_key: idempotencyKey('promo', objects, draftId),
+    batches: [{ objects }]
+  });
+  const idFor = (clientId) => (data.id_mappings || []).find(m => m.client_object_id === clientId)?.object_id || clientId;
+  return {
+    discountId: idFor(objects[0].id),
+    productSetId: idFor(objects[1].id),
+    pricingRuleId: idFor(objects[2].id)
+  };
+}
+
+// The Square objects a promotion was saved as, by id (missing ones are left out)
+export async function retrieveSquareObjects(promotion) {
+  const ids = Object.values(promotion.square || {}).filter(Boolean);
+  if (ids.length === 0) return {};
+  const data = await squarePost('catalog/batch-retrieve', { object_ids: ids });
+  return Object.fromEntries((data.objects || []).map(obj => [obj.id, obj]));
+}
+
+export async function deleteSquareObjects(promotion) {
+  const ids = Object.values(promotion.square || {}).filter(Boolean);
+  if (ids.length > 0) await squarePost('catalog/batch-delete', { object_ids: ids });
+}
+
+// Items on sale today get `sale` ({ id, name, label, endDate }) and a salePrice on the item and each variation.
+// An item in more than one sale gets the one taking the most off, as the register would.
+export function applyPromotions(items, promotions, today = todayInGallery()) {
+  const active = promotions.filter(promotion => promotionStatus(promotion, today) === 'active');
+  if (active.length === 0) return items;
+  return items.map(item => {
+    const matching = active.filter(promotion => promotion.productIds.includes(item.squareId) || (item.categoryIds || []).some(id => promotion.productIds.includes(id)));
+    if (matching.length === 0) return item;
+    const best = matching.reduce((a, b) => parseFloat(salePrice(item.price, a)) <= parseFloat(salePrice(item.price, b)) ? a : b);
+    return {
+      ...item,
+      sale: { id: best.id, name: best.name, label: discountLabel(best), endDate: best.endDate },
+      salePrice: salePrice(item.price, best),
+      variations: (item.variations || []).map(variation => ({ ...variation, salePrice: salePrice(variation.price, best) }))
+    };
+  });
+}
@@ -0,0 +1,94 @@
+// Consignment receipts - the numbered slip a consignment artist gets when they drop work off (intake) or take it
+// back (return), in place of the hand-written ones
+// cbg-receipts        hash of id -> receipt:
+//   { id, number, kind, artistName, artistUsername, rate, lines: [{ itemId, variationId, sku, title, price, quantity }],
+//     totals: { quantity, value }, createdAt, createdBy }
+// cbg-receipt-seq     receipt numbers, one sequence for both kinds so no two slips share a number
+// cbg-receipt-once:<hash>  receipt id already made for the same request (its requestId, kind, variations and quantities),
+//                     so a resent request doesn't number a second. Holds 'pending' while the receipt is being made.
+// Only artists whose type is 'consignment' get receipts. Lines are copied in, so a receipt never changes afterwards.
+import crypto from 'crypto';
+import { kvCommand, kvHGetAllJson, kvSetNx, KvBusyError } from './kv.js';
+import { sameArtist } from './catalog.js';
+
+const RECEIPTS_KEY = 'cbg-receipts';
+const SEQ_KEY = 'cbg-receipt-seq';
+const ONCE_TTL = 60 * 60 * 24 * 30;
+const CLAIM_TTL = 60;
+
+export const RECEIPT_KINDS = ['intake', 'return'];
+
+const parse = (raw) => {
+  try { return JSON.parse(raw); } catch (error) { return null; }
+};
+
+// [username, artist] for a consignment artist, or null for anyone else
+export const findConsignmentArtist = (artists, artistName) =>
+  Object.entries(artists || {}).find(([, artist]) => artist.type === 'consignment' && sameArtist(artist.name, artistName)) || null;
+
+const lineTitle = (item, variation) => item.variations.length > 1 && variation.name ? `${item.title} (${variation.name})` : item.title;
+
+// One line per variation with stock, counting every location - work in storage was dropped off (or goes back) too.
+// item is a catalog snapshot item (see catalog-snapshot.js readCatalog).
+export const receiptLines = (item) => item.variations
+  .map(variation => ({
+    itemId: item.squareId,
+    variationId: variation.id,
+    sku: variation.sku,
+    title: lineTitle(item, variation),
+    price: variation.price,
+    quantity: Object.values(variation.locationQuantities || {}).reduce((total, n) => total + n, 0)
+  }))
+  .filter(line => line.quantity > 0);
+
+// Newest first; only one artist's when artistName is given
+export async function listReceipts({ artistName } = {}) {
+  const receipts = Object.values(await kvHGetAllJson(RECEIPTS_KEY));
+  return receipts
+    .filter(receipt => !artistName || sameArtist(receipt.artistName, artistName))
+    .sort((a, b) => b.number - a.number);
+}
+
+export async function getReceipt(id) {
+  return parse(await kvCommand(['HGET', RECEIPTS_KEY, String(id)]));
+}
+
+// requestId is generated once by the browser and reused if it resends; without one, the same kind, variations and
+// quantities count as the same request
+export async function createReceipt(user, { kind, username, artist, lines, requestId = null }) {
+  const request = [kind, requestId || '', ...lines.map(line => `${line.variationId}:${line.quantity}`).sort()];
+  const onceKey = `cbg-receipt-once:${crypto.createHash('sha256').update(request.join('|')).digest('hex')}`;
+  // Claim the request before taking a number, so a resend can't number a second receipt or find one not saved yet
+  if (!(await kvSetNx(onceKey, 'pending', { ex: CLAIM_TTL }))) {
+    const made = await kvCommand(['GET', onceKey]);
+    if (made === 'pending') throw new KvBusyError('This receipt is already being made - please try again in a moment');
+    if (made) return getReceipt(made);
+    return createReceipt(user, { kind, username, artist, lines, requestId });
+  }
+
+  try {
+    const number = await kvCommand(['INCR', SEQ_KEY]);
+    const receipt = {
+      id: number,
+      number,
+      kind,
+      artistName: artist.name,
+      artistUsername: username,
+      rate: artist.rate ?? null,
+      lines,
+      totals: {
+        quantity: lines.reduce((total, line) => total + line.quantity, 0),
+        value: Math.round(lines.reduce((total, line) => total + (parseFloat(line.price) || 0) * line.quantity, 0) * 100) / 100
+      },
+      createdAt: new Date().toISOString(),
+      createdBy: user.name || user.username
+    };
+    await kvCommand(['HSET', RECEIPTS_KEY, String(receipt.id), JSON.stringify(receipt)]);
+    await kvCommand(['SET', onceKey, String(receipt.id), 'EX', String(ONCE_TTL)]);
+    console.log('Receipt created:', receipt.number, kind, artist.name, lines.length, 'lines, by', user.username);
+    return receipt;
+  } catch (error) {
+    await kvCommand(['DEL', onceKey]).catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,110 @@
+// Stock reports for rotation decisions, built from the catalog snapshot and a year of Square orders
+// Valuation  retail value on hand (price x quantity at every location), by artist and by artwork type
+// Aging      pieces in stock at the gallery (SQUARE_LOCATION_ID) for 90 / 180 / 365+ days (since they were added to
+//            Square) that haven't sold once since - orders are read back SALES_LOOKBACK_DAYS, so for older pieces it
+//            means no sale in that time. Stock out on transfer or at a show isn't on the gallery's walls to rotate.
+// Quality    missing medium, long SKUs, zero prices, and items with nothing in stock that are still in Square
+//            (sold out, or gone back to the artist without being archived)
+// cbg-reports-last-sold: { salesSince, readAt, lastSold: { variationId: closedAt } } from the orders of the lookback
+// window, cached for LAST_SOLD_TTL seconds - reading a year of orders is too slow to do on every load
+import { kvGetJson, kvSetJson } from './kv.js';
+import { MAX_SKU_LENGTH } from './skus.js';
+import { toDollars, parseDateRange, fetchCompletedOrders, orderLines, GALLERY_TIME_ZONE } from './sales.js';
+import { homeLocationId } from './locations.js';
+
+export const AGING_DAYS = [90, 180, 365];
+export const SALES_LOOKBACK_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+const LAST_SOLD_KEY = 'cbg-reports-last-sold';
+const LAST_SOLD_TTL = 60 * 10;
+
+const dateString = (date) => new Intl.DateTimeFormat('en-CA', { timeZone: GALLERY_TIME_ZONE }).format(date);
+
+const stockOf = (variation) => Object.values(variation.locationQuantities || {}).reduce((total, n) => total + n, 0);
+const galleryStockOf = (variation) => (variation.locationQuantities || {})[homeLocationId()] || 0;
+const centsOf = (price) => Math.round((parseFloat(price) || 0) * 100);
+
+// Problems with an item's data, as short labels
+export const qualityProblems = (item, pieces) => [
+  !item.medium && 'Missing medium',
+  [item.sku, ...item.variations.map(v => v.sku)].some(sku => sku && sku.length > MAX_SKU_LENGTH) && 'Long SKU',
+  item.variations.some(v => centsOf(v.price) === 0) && 'Zero price',
+  pieces === 0 && 'Nothing in stock'
+].filter(Boolean);
+
+// When each variation last sold in the lookback window
+export async function loadLastSold({ fresh = false } = {}) {
+  let sales = fresh ? null : await kvGetJson(LAST_SOLD_KEY);
+  if (!sales) {
+    const range = parseDateRange({ start: dateString(new Date(Date.now() - SALES_LOOKBACK_DAYS * DAY)), end: dateString(new Date()) });
+    const lastSold = {};
+    orderLines(await fetchCompletedOrders(range)).filter(line => line.quantity > 0).forEach(line => {
+      if (!lastSold[line.variationId] || line.closedAt > lastSold[line.variationId]) lastSold[line.variationId] = line.closedAt;
+    });
+    sales = { salesSince: range.startDate, readAt: new Date().toISOString(), lastSold };
+    await kvSetJson(LAST_SOLD_KEY, sales, { ex: LAST_SOLD_TTL });
+  }
+  return sales;
+}
+
+// items are readCatalog() items; lastSoldByVariation is loadLastSold().lastSold
+export function buildReports(items, lastSoldByVariation, { now = new Date() } = {}) {
+  const lastSold = {};
+  items.forEach(item => {
+    lastSold[item.squareId] = item.variations.map(variation => lastSoldByVariation[variation.id]).filter(Boolean).sort().pop() || null;
+  });
+
+  const byArtist = {};
+  const byType = {};
+  const total = { items: 0, pieces: 0, valueCents: 0 };
+  const add = (groups, key, pieces, valueCents) => {
+    if (!groups[key]) groups[key] = { name: key, items: 0, pieces: 0, valueCents: 0 };
+    groups[key].items += 1;
+    groups[key].pieces += pieces;
+    groups[key].valueCents += valueCents;
+  };
+
+  const aging = [];
+  const quality = [];
+  items.forEach(item => {
+    const pieces = item.variations.reduce((sum, variation) => sum + Math.max(0, stockOf(variation)), 0);
+    const valueCents = item.variations.reduce((sum, variation) => sum + Math.max(0, stockOf(variation)) * centsOf(variation.price), 0);
+    const row = { itemId: item.squareId, title: item.title, artistName: item.artistName || '', type: item.type || '', sku: item.sku, pieces, value: toDollars(valueCents) };
+
+    if (pieces > 0) {
+      add(byArtist, row.artistName || '(no artist)', pieces, valueCents);
+      add(byType, row.type || '(no type)', pieces, valueCents);
+      total.items += 1;
+      total.pieces += pieces;
+      total.valueCents += valueCents;
+
+    }
+
+    const galleryPieces = item.variations.reduce((sum, variation) => sum + Math.max(0, galleryStockOf(variation)), 0);
+    if (galleryPieces > 0) {
+      const galleryCents = item.variations.reduce((sum, variation) => sum + Math.max(0, galleryStockOf(variation)) * centsOf(variation.price), 0);
+      const ageDays = item.createdAt ? Math.floor((now - new Date(item.createdAt)) / DAY) : null;
+      const bucket = ageDays === null ? null : [...AGING_DAYS].reverse().find(days => ageDays >= days);
+      if (bucket && !lastSold[item.squareId]) {
+        aging.push({ ...row, pieces: galleryPieces, value: toDollars(galleryCents), createdAt: item.createdAt, ageDays, bucket });
+      }
+    }
+
+    const problems = qualityProblems(item, pieces);
+    if (problems.length > 0) quality.push({ ...row, problems });
+  });
+
+  const groupRows = (groups) => Object.values(groups)
+    .map(({ valueCents, ...group }) => ({ ...group, value: toDollars(valueCents) }))
+    .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+
+  return {
+    valuation: {
+      total: { items: total.items, pieces: total.pieces, value: toDollars(total.valueCents) },
+      byArtist: groupRows(byArtist),
+      byType: groupRows(byType)
+    },
+    aging: aging.sort((a, b) => b.ageDays - a.ageDays),
+    quality: quality.sort((a, b) => a.artistName.localeCompare(b.artistName) || a.title.localeCompare(b.title))
+  };
+}
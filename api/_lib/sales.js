@@ -0,0 +1,301 @@
+// Sales data from Square orders, matched back to artists
+// Line items are matched through their variation's "Artist Name - Type" category,
+// falling back to the SKU prefix (artist initials) for items whose category is gone or unparseable
+import { resolveCategoryName, parseCategoryName, normalizeArtistName, getInitials } from './catalog.js';
+import { squarePost } from './square.js';
+import { listLocations } from './locations.js';
+
+export const GALLERY_TIME_ZONE = process.env.GALLERY_TIME_ZONE || 'America/Denver';
+
+// ── Dates ────────────────────────────────────────────────────────────
+// Offset (ms) between UTC and the gallery time zone at a given instant
+const zoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - date.getTime();
+};
+
+// Midnight at the start of a YYYY-MM-DD day in the gallery's time zone, as a UTC Date
+export const startOfDay = (dateStr, timeZone = GALLERY_TIME_ZONE) => {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const guess = new Date(Date.UTC(y, m - 1, d));
+  return new Date(guess.getTime() - zoneOffset(guess, timeZone));
+};
+
+// Longest range a report may cover; a longer one means paging through more orders than a request has time for
+export const MAX_RANGE_DAYS = 366;
+
+// Parse ?start=YYYY-MM-DD&end=YYYY-MM-DD (end inclusive), defaulting to the current month.
+// The range carries an error when it runs backwards or is longer than MAX_RANGE_DAYS.
+export const parseDateRange = ({ start, end }, timeZone = GALLERY_TIME_ZONE) => {
+  const isDate = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+  const startDate = isDate(start) ? start : `${today.slice(0, 7)}-01`;
+  const endDate = isDate(end) ? end : today;
+  const endExclusive = startOfDay(endDate, timeZone);
+  endExclusive.setUTCDate(endExclusive.getUTCDate() + 1);
+  const startAt = startOfDay(startDate, timeZone);
+  const error = startAt >= endExclusive ? 'Start date must be on or before end date'
+    : (endExclusive - startAt) / 86400000 > MAX_RANGE_DAYS ? 'Please choose a range of one year or less'
+      : undefined;
+  return { startDate, endDate, startAt: startAt.toISOString(), endAt: endExclusive.toISOString(), ...(error ? { error } : {}) };
+};
+
+export const monthOf = (isoDate, timeZone = GALLERY_TIME_ZONE) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit' }).format(new Date(isoDate)).slice(0, 7);
+
+export const toDollars = (cents) => Math.round(cents) / 100;
+
+// ── Square lookups ───────────────────────────────────────────────────
+const ORDER_SEARCH_LOCATIONS = 10; // Square's limit on location_ids per orders/search
+
+// Completed orders at every location, closed ones included - sales at an off-site show count like gallery sales
+export async function fetchCompletedOrders({ startAt, endAt }) {
+  const locationIds = (await listLocations({ includeInactive: true })).map(location => location.id);
+  const orders = [];
+  for (let i = 0; i < locationIds.length; i += ORDER_SEARCH_LOCATIONS) {
+    let cursor = null;
+    do {
+      const data = await squarePost('orders/search', {
+        location_ids: locationIds.slice(i, i + ORDER_SEARCH_LOCATIONS),
+        limit: 500,
+        cursor: cursor || undefined,
+        query: {
+          filter: {
+            state_filter: { states: ['COMPLETED'] },
+            date_time_filter: { closed_at: { start_at: startAt, end_at: endAt } }
+          },
+          sort: { sort_field: 'CLOSED_AT', sort_order: 'ASC' }
+        }
+      });
+      if (data.orders) orders.push(...data.orders);
+      cursor = data.cursor;
+    } while (cursor);
+  }
+  return orders.sort((a, b) => (a.closed_at || '').localeCompare(b.closed_at || ''));
+}
+
+export async function fetchOrder(orderId) {
+  const data = await squarePost('orders/batch-retrieve', { order_ids: [orderId] });
+  return data.orders?.[0] || null;
+}
+
+// Map variation IDs to { sku, itemId, title, categoryName, artistName, type }, including deleted catalog objects.
+// title names the variation too when the item has more than one.
+export async function resolveVariations(variationIds) {
+  const variations = {};
+  const items = {};
+  const categoryIds = new Set();
+  const ids = [...new Set(variationIds)].filter(Boolean);
+
+  for (let i = 0; i < ids.length; i += 1000) {
+    const data = await squarePost('catalog/batch-retrieve', { object_ids: ids.slice(i, i + 1000), include_related_objects: true, include_deleted_objects: true });
+    (data.objects || []).forEach(obj => { if (obj.type === 'ITEM_VARIATION') variations[obj.id] = obj; });
+    (data.related_objects || []).forEach(obj => { if (obj.type === 'ITEM') items[obj.id] = obj; });
+  }
+
+  // Variations of deleted items may not come back with their parent - fetch any that are missing
+  const missingItemIds = [...new Set(Object.values(variations).map(v => v.item_variation_data?.item_id))].filter(id => id && !items[id]);
+  for (let i = 0; i < missingItemIds.length; i += 1000) {
+    const data = await squarePost('catalog/batch-retrieve', { object_ids: missingItemIds.slice(i, i + 1000), include_deleted_objects: true });
+    (data.objects || []).forEach(obj => { items[obj.id] = obj; });
+  }
+
+  Object.values(items).forEach(item => {
+    const itemData = item.item_data || {};
+    [itemData.category_id, itemData.categories?.[0]?.id, itemData.reporting_category?.id].filter(Boolean).forEach(id => categoryIds.add(id));
+  });
+
+  const categories = {};
+  const catIds = [...categoryIds];
+  for (let i = 0; i < catIds.length; i += 1000) {
+    const data = await squarePost('catalog/batch-retrieve', { object_ids: catIds.slice(i, i + 1000), include_deleted_objects: true });
+    (data.objects || []).forEach(cat => { categories[cat.id] = cat.category_data?.name || ''; });
+  }
+
+  const resolved = {};
+  Object.values(variations).forEach(variation => {
+    const item = items[variation.item_variation_data?.item_id];
+    const categoryName = resolveCategoryName(item?.item_data, categories);
+    const { artistName, type } = parseCategoryName(categoryName);
+    resolved[variation.id] = {
+      sku: variation.item_variation_data?.sku || '',
+      itemId: item?.id || null,
+      // Which size/edition sold matters when the item has several
+      title: (item?.item_data?.variations?.length || 0) > 1 && variation.item_variation_data?.name
+        ? `${item.item_data.name || ''} (${variation.item_variation_data.name})`
+        : item?.item_data?.name || '',
+      categoryName,
+      artistName: categoryName.includes(' - ') ? artistName : '',
+      type
+    };
+  });
+  return resolved;
+}
+
+// ── Statements ───────────────────────────────────────────────────────
+// Index the artist store by normalized display name and by SKU prefix
+const indexArtists = (artists) => {
+  const byName = {};
+  const byInitials = {};
+  Object.entries(artists || {}).forEach(([username, artist]) => {
+    if (['admin', 'subadmin'].includes(artist.type) || !artist.name) return;
+    byName[normalizeArtistName(artist.name)] = { username, ...artist };
+    const initials = getInitials(artist.name);
+    byInitials[initials] = byInitials[initials] ? null : { username, ...artist }; // ambiguous prefixes never match
+  });
+  return { byName, byInitials };
+};
+
+const matchArtist = (lookup, index) => {
+  if (lookup?.artistName) {
+    return index.byName[normalizeArtistName(lookup.artistName)] || { username: null, name: lookup.artistName, type: null, rate: null };
+  }
+  const prefix = (lookup?.sku || '').match(/^[A-Z]+/)?.[0];
+  return (prefix && index.byInitials[prefix]) || null;
+};
+
+// Flatten orders (and their returns) into signed sale lines: quantity and amounts are negative for returns
+export const orderLines = (orders) => orders.flatMap(order => [
+  ...(order.line_items || []).map(line => ({
+    orderId: order.id,
+    closedAt: order.closed_at,
+    variationId: line.catalog_object_id || null,
+    name: line.name || 'Custom amount',
+    quantity: parseFloat(line.quantity) || 0,
+    grossCents: (line.gross_sales_money?.amount || 0) - (line.total_discount_money?.amount || 0)
+  })),
+  ...(order.returns || []).flatMap(ret => (ret.return_line_items || []).map(line => ({
+    orderId: order.id,
+    closedAt: order.closed_at,
+    variationId: line.catalog_object_id || null,
+    name: line.name || 'Return',
+    quantity: -(parseFloat(line.quantity) || 0),
+    grossCents: -((line.gross_return_money?.amount || 0) - (line.total_discount_money?.amount || 0))
+  })))
+]);
+
+// Build one statement per artist, with a row per month: items sold, gross, gallery commission, payout owed
+export function buildStatements(lines, variationLookup, artists, { timeZone = GALLERY_TIME_ZONE } = {}) {
+  const index = indexArtists(artists);
+  const statements = {};
+  const unmatched = [];
+
+  const startStatement = (artist) => {
+    statements[normalizeArtistName(artist.name)] = { artistName: artist.name, username: artist.username, type: artist.type, rate: artist.rate ?? null, months: {}, lines: [] };
+  };
+
+  // Every active artist gets a statement, even with no sales in the range
+  Object.values(index.byName).filter(artist => artist.active).forEach(startStatement);
+
+  lines.forEach(line => {
+    const lookup = variationLookup[line.variationId];
+    const artist = matchArtist(lookup, index);
+    if (!artist) {
+      unmatched.push({ orderId: line.orderId, date: line.closedAt, title: lookup?.title || line.name, sku: lookup?.sku || '', quantity: line.quantity, gross: toDollars(line.grossCents) });
+      return;
+    }
+
+    const key = normalizeArtistName(artist.name);
+    if (!statements[key]) startStatement(artist);
+    const statement = statements[key];
+    const month = monthOf(line.closedAt, timeZone);
+    if (!statement.months[month]) statement.months[month] = { month, itemsSold: 0, grossCents: 0 };
+    statement.months[month].itemsSold += line.quantity;
+    statement.months[month].grossCents += line.grossCents;
+    statement.lines.push({
+      orderId: line.orderId,
+      date: line.closedAt,
+      title: lookup?.title || line.name,
+      sku: lookup?.sku || '',
+      type: lookup?.type || '',
+      quantity: line.quantity,
+      gross: toDollars(line.grossCents)
+    });
+  });
+
+  const result = Object.values(statements).map(statement => {
+    const rate = Number(statement.rate) || 0;
+    const months = Object.values(statement.months).sort((a, b) => a.month.localeCompare(b.month)).map(m => {
+      const commissionCents = Math.round(m.grossCents * rate / 100);
+      return { month: m.month, itemsSold: m.itemsSold, gross: toDollars(m.grossCents), commission: toDollars(commissionCents), payout: toDollars(m.grossCents - commissionCents) };
+    });
+    const sum = (field) => toDollars(months.reduce((total, m) => total + Math.round(m[field] * 100), 0));
+    return {
+      ...statement,
+      months,
+      rateMissing: statement.rate === null,
+      totals: { itemsSold: months.reduce((total, m) => total + m.itemsSold, 0), gross: sum('gross'), commission: sum('commission'), payout: sum('payout') }
+    };
+  }).sort((a, b) => a.artistName.localeCompare(b.artistName));
+
+  return { statements: result, unmatched };
+}
+
+// ── Financials ───────────────────────────────────────────────────────
+// Gallery-wide monthly revenue, sales tax, commissions vs payouts, and top sellers.
+// Commissions and payouts come from the per-artist statements so both views always agree.
+export function summarizeFinancials(orders, lines, variationLookup, statements, { timeZone = GALLERY_TIME_ZONE, top = 10 } = {}) {
+  const months = {};
+  const monthRow = (month) => {
+    if (!months[month]) months[month] = { month, orders: 0, grossCents: 0, discountCents: 0, returnCents: 0, taxCents: 0, commissionCents: 0, payoutCents: 0 };
+    return months[month];
+  };
+
+  orders.forEach(order => {
+    const row = monthRow(monthOf(order.closed_at, timeZone));
+    if ((order.line_items || []).length > 0) row.orders += 1;
+    (order.line_items || []).forEach(line => {
+      row.grossCents += line.gross_sales_money?.amount || 0;
+      row.discountCents += line.total_discount_money?.amount || 0;
+    });
+    (order.returns || []).forEach(ret => (ret.return_line_items || []).forEach(line => {
+      row.returnCents += (line.gross_return_money?.amount || 0) - (line.total_discount_money?.amount || 0);
+    }));
+    // net_amounts already has returned tax taken out
+    row.taxCents += order.net_amounts?.tax_money?.amount ?? ((order.total_tax_money?.amount || 0) - (order.return_amounts?.tax_money?.amount || 0));
+  });
+
+  statements.forEach(statement => statement.months.forEach(m => {
+    const row = monthRow(m.month);
+    row.commissionCents += Math.round(m.commission * 100);
+    row.payoutCents += Math.round(m.payout * 100);
+  }));
+
+  const toReport = (row) => ({
+    month: row.month,
+    orders: row.orders,
+    grossSales: toDollars(row.grossCents),
+    discounts: toDollars(row.discountCents),
+    returns: toDollars(row.returnCents),
+    netSales: toDollars(row.grossCents - row.discountCents - row.returnCents),
+    tax: toDollars(row.taxCents),
+    commission: toDollars(row.commissionCents),
+    payouts: toDollars(row.payoutCents)
+  });
+
+  const monthRows = Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
+  const totalRow = monthRows.reduce((total, row) => {
+    Object.keys(total).forEach(field => { if (field !== 'month') total[field] += row[field]; });
+    return total;
+  }, { month: 'total', orders: 0, grossCents: 0, discountCents: 0, returnCents: 0, taxCents: 0, commissionCents: 0, payoutCents: 0 });
+
+  const types = {};
+  lines.forEach(line => {
+    const type = variationLookup[line.variationId]?.type || '(no type)';
+    if (!types[type]) types[type] = { type, itemsSold: 0, netCents: 0 };
+    types[type].itemsSold += line.quantity;
+    types[type].netCents += line.grossCents;
+  });
+
+  return {
+    months: monthRows.map(toReport),
+    totals: toReport(totalRow),
+    topArtists: statements.filter(st => st.lines.length > 0).sort((a, b) => b.totals.gross - a.totals.gross).slice(0, top)
+      .map(st => ({ artistName: st.artistName, itemsSold: st.totals.itemsSold, netSales: st.totals.gross, commission: st.totals.commission })),
+    topTypes: Object.values(types).sort((a, b) => b.netCents - a.netCents).slice(0, top)
+      .map(t => ({ type: t.type, itemsSold: t.itemsSold, netSales: toDollars(t.netCents) }))
+  };
+}
@@ -0,0 +1,142 @@
+// SKU allocation: artist prefix + 4-digit counter, e.g. JFP0042 (3 digits after a 4-letter prefix)
+// A prefix whose counter has used up its digits is full - the artist moves on to their next free prefix, so a SKU
+// never grows past MAX_SKU_LENGTH.
+// cbg-sku-prefixes        hash of prefix -> normalized artist name (who owns each prefix)
+// cbg-sku-artist-prefix   hash of normalized artist name -> prefix
+// cbg-sku-counter:<PFX>   last number handed out for a prefix, seeded from the catalog on first use
+// Prefixes start from getInitials(); when two artists share initials the later one gets a longer variant,
+// and a prefix already used by another artist's items in the catalog is never handed out.
+// Every allocated SKU is checked against Square before it is returned.
+import { kvCommand, kvSetNx } from './kv.js';
+import { getInitials, normalizeArtistName, sameArtist } from './catalog.js';
+import { squarePost } from './square.js';
+import { ensureFreshCatalog, readCatalog } from './catalog-snapshot.js';
+
+export const MAX_SKU_LENGTH = 7;
+const MIN_DIGITS = 3;
+const DIGITS = 4;
+const MAX_ATTEMPTS = 20;
+
+const PREFIXES_KEY = 'cbg-sku-prefixes';
+const ARTIST_PREFIX_KEY = 'cbg-sku-artist-prefix';
+const counterKey = (prefix) => `cbg-sku-counter:${prefix}`;
+
+// SKUs the label printer can't fit, or variations that never had one (the item ID stands in)
+export const isLongSku = (sku) => !sku || sku.length > MAX_SKU_LENGTH;
+
+const digitsFor = (prefix) => Math.max(MIN_DIGITS, Math.min(DIGITS, MAX_SKU_LENGTH - prefix.length));
+
+export const formatSku = (prefix, number) => `${prefix}${String(number).padStart(digitsFor(prefix), '0')}`;
+
+// The highest number a prefix can take before its SKUs would be too long (999 after a 4-letter prefix)
+const capacity = (prefix) => 10 ** digitsFor(prefix) - 1;
+
+const prefixFull = async (prefix) => (parseInt(await kvCommand(['GET', counterKey(prefix)])) || 0) >= capacity(prefix);
+
+// Initials first, then variants that borrow more letters from the surname or first name
+const prefixCandidates = (name) => {
+  const initials = getInitials(name);
+  const words = (name || '').trim().toUpperCase().split(/[\s\-]+/).map(w => w.replace(/[^A-Z]/g, '')).filter(Boolean);
+  const last = words[words.length - 1] || '';
+  const first = words[0] || '';
+  const candidates = [
+    initials,
+    initials + (last[1] || ''),
+    initials + last.slice(1, 3),
+    first.slice(0, 2) + words.slice(1).map(w => w[0]).join(''),
+    ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => initials.slice(0, 3) + letter)
+  ];
+  return [...new Set(candidates.map(c => c.replace(/[^A-Z]/g, '').slice(0, 4)).filter(c => c.length >= 2))];
+};
+
+// The prefix registered to an artist, claiming one the first time or when theirs is full
+export async function prefixForArtist(artistName) {
+  const artistKey = normalizeArtistName(artistName);
+  if (!artistKey) throw new Error('An artist name is needed to allocate a SKU');
+
+  const existing = await kvCommand(['HGET', ARTIST_PREFIX_KEY, artistKey]);
+  if (existing && !(await prefixFull(existing))) return existing;
+
+  // Prefixes other artists' existing SKUs already use, from before prefixes were registered - archived items keep
+  // their SKUs, so they count too
+  await ensureFreshCatalog();
+  const { items } = await readCatalog({ includeArchived: true });
+  const takenInCatalog = (prefix) => items.some(item =>
+    item.variations.some(v => new RegExp(`^${prefix}\\d+$`).test(v.sku || '')) && item.artistName && !sameArtist(item.artistName, artistName));
+
+  for (const candidate of prefixCandidates(artistName)) {
+    if (takenInCatalog(candidate) || await prefixFull(candidate)) continue;
+    const claimed = await kvCommand(['HSETNX', PREFIXES_KEY, candidate, artistKey]);
+    const owner = claimed ? artistKey : await kvCommand(['HGET', PREFIXES_KEY, candidate]);
+    if (owner === artistKey) {
+      await kvCommand(['HSET', ARTIST_PREFIX_KEY, artistKey, candidate]);
+      return candidate;
+    }
+  }
+  throw new Error(`No free SKU prefix for ${artistName}`);
+}
+
+// Highest number already used with this prefix in Square, so a new counter starts after it
+async function highestCatalogNumber(prefix) {
+  let highest = 0;
+  let cursor = null;
+  do {
+    const data = await squarePost('catalog/search', {
+      object_types: ['ITEM_VARIATION'],
+      query: { prefix_query: { attribute_name: 'sku', attribute_prefix: prefix } },
+      limit: 1000,
+      cursor: cursor || undefined
+    });
+    (data.objects || []).forEach(obj => {
+      const match = (obj.item_variation_data?.sku || '').match(new RegExp(`^${prefix}(\\d+)$`));
+      if (match) highest = Math.max(highest, parseInt(match[1]));
+    });
+    cursor = data.cursor;
+  } while (cursor);
+  return highest;
+}
+
+async function skuInUse(sku) {
+  const data = await squarePost('catalog/search', {
+    object_types: ['ITEM_VARIATION'],
+    query: { exact_query: { attribute_name: 'sku', attribute_value: sku } },
+    limit: 1
+  });
+  return (data.objects || []).length > 0;
+}
+
+async function seedCounter(prefix) {
+  if (!(await kvCommand(['EXISTS', counterKey(prefix)]))) {
+    // Seed from the catalog; if another request seeded it first, its value stands
+    await kvSetNx(counterKey(prefix), String(await highestCatalogNumber(prefix)));
+  }
+}
+
+export async function allocateSku(artistName) {
+  let prefix = await prefixForArtist(artistName);
+  await seedCounter(prefix);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const number = await kvCommand(['INCR', counterKey(prefix)]);
+    if (number > capacity(prefix)) {
+      console.warn('SKU prefix full, moving', artistName, 'on from', prefix);
+      prefix = await prefixForArtist(artistName);
+      await seedCounter(prefix);
+      continue;
+    }
+    const sku = formatSku(prefix, number);
+    if (!(await skuInUse(sku))) return sku;
+    console.warn('SKU already in use in Square, skipping:', sku);
+  }
+  throw new Error(`Could not find a free SKU for ${artistName}`);
+}
+
+// Reuse the SKU allocated for a particular upload, so a resent request creates the same item
+export async function allocateSkuOnce(scopeKey, artistName) {
+  const key = `cbg-sku-draft:${scopeKey}`;
+  const existing = await kvCommand(['GET', key]);
+  if (existing) return existing;
+  const sku = await allocateSku(artistName);
+  if (await kvSetNx(key, sku, { ex: 60 * 60 * 24 })) return sku;
+  return kvCommand(['GET', key]);
+}
@@ -0,0 +1,139 @@
+// Shared Square API client - every route talks to Square through this module
+// SQUARE_BASE_URL (default https://connect.squareup.com) and SQUARE_VERSION (default 2024-12-18) can be
+// overridden, e.g. to point at the local mock server in scripts/mock-square.mjs.
+// Rate limits (429), server errors (5xx) and network failures are retried with exponential backoff,
+// honouring Retry-After. Writes are only safe to retry because their idempotency keys come from
+// idempotencyKey() - derived from what is being written, never from the clock.
+import crypto from 'crypto';
+
+const MAX_RETRIES = 3;
+const BASE_DELAY = 400; // ms, doubled on each retry
+const MAX_DELAY = 8000;
+
+export class SquareError extends Error {
+  constructor(message, { status = null, code = null, category = null, errors = [], path = null } = {}) {
+    super(message);
+    this.name = 'SquareError';
+    this.status = status;
+    this.code = code;
+    this.category = category;
+    this.errors = errors;
+    this.path = path;
+  }
+}
+
+export class SquareNotFoundError extends SquareError {}
+// Stale object version or an idempotency key reused with a different body
+export class SquareConflictError extends SquareError {}
+export class SquareRateLimitError extends SquareError {}
+export class SquareAuthError extends SquareError {}
+export class SquareValidationError extends SquareError {}
+// The request never got a response (DNS, connection reset, timeout)
+export class SquareNetworkError extends SquareError {}
+
+const CONFLICT_CODES = ['VERSION_MISMATCH', 'CONFLICT', 'IDEMPOTENCY_KEY_REUSED'];
+
+const errorFor = (status, data, path) => {
+  const errors = data?.errors || [];
+  const first = errors[0] || {};
+  const message = first.detail || first.code || `Square request failed: ${path} (${status})`;
+  const details = { status, code: first.code || null, category: first.category || null, errors, path };
+
+  if (status === 404) return new SquareNotFoundError(message, details);
+  if (status === 409 || CONFLICT_CODES.includes(first.code)) return new SquareConflictError(message, details);
+  if (status === 429) return new SquareRateLimitError(message, details);
+  if (status === 401 || status === 403) return new SquareAuthError(message, details);
+  if (status === 400) return new SquareValidationError(message, details);
+  return new SquareError(message, details);
+};
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+const retryDelay = (attempt, retryAfter) => {
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.min(seconds * 1000, MAX_DELAY);
+  const backoff = Math.min(BASE_DELAY * 2 ** attempt, MAX_DELAY);
+  return backoff / 2 + Math.random() * backoff / 2;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const squareConfigured = () => !!(process.env.SQUARE_ACCESS_TOKEN && process.env.SQUARE_LOCATION_ID);
+
+// Send a request to /v2/<path> and return the parsed JSON, or throw a SquareError subclass.
+// form (a FormData) is sent as multipart instead of a JSON body - only catalog/images needs it.
+export async function squareRequest(method, path, { body, form, query, retries = MAX_RETRIES } = {}) {
+  const baseUrl = (process.env.SQUARE_BASE_URL || 'https://connect.squareup.com').replace(/\/$/, '');
+  const url = new URL(`${baseUrl}/v2/${path}`);
+  Object.entries(query || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(name, value);
+  });
+
+  const options = {
+    method,
+    headers: {
+      'Square-Version': process.env.SQUARE_VERSION || '2024-12-18',
+      'Authorization': `Bearer ${process.env.SQUARE_ACCESS_TOKEN}`,
+      // fetch sets the multipart boundary itself
+      ...(form ? {} : { 'Content-Type': 'application/json' })
+    },
+    body: form || (body === undefined ? undefined : JSON.stringify(body))
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url.toString(), options);
+    } catch (error) {
+      if (attempt < retries) {
+        console.warn(`Square ${method} ${path} network error, retrying:`, error.message);
+        await sleep(retryDelay(attempt));
+        continue;
+      }
+      throw new SquareNetworkError(`Could not reach Square: ${error.message}`, { path });
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (response.ok) return data;
+
+    if (isRetryable(response.status) && attempt < retries) {
+      const delay = retryDelay(attempt, response.headers?.get?.('retry-after'));
+      console.warn(`Square ${method} ${path} returned ${response.status}, retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+      continue;
+    }
+    throw errorFor(response.status, data, path);
+  }
+}
+
+export const squareGet = (path, query, options) => squareRequest('GET', path, { ...options, query });
+export const squarePost = (path, body, options) => squareRequest('POST', path, { ...options, body });
+export const squareDelete = (path, options) => squareRequest('DELETE', path, options);
+export const squarePostForm = (path, form, options) => squareRequest('POST', path, { ...options, form });
+
+// Fetch a catalog object, or null if Square has no such object
+export async function retrieveCatalogObject(objectId, { includeRelated = false } = {}) {
+  try {
+    return await squareGet(`catalog/object/${encodeURIComponent(objectId)}`, includeRelated ? { include_related_objects: 'true' } : undefined);
+  } catch (error) {
+    if (error instanceof SquareNotFoundError) return null;
+    throw error;
+  }
+}
+
+// Square allows 45 characters. The same scope and parts always give the same key, so a retried
+// write - by this client or by the browser resending the same request - is applied only once.
+export const idempotencyKey = (scope, ...parts) => {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('base64url');
+  return `${scope}-${digest}`.slice(0, 45);
+};
+
+// HTTP status a route should answer with when a Square call fails
+export const httpStatusFor = (error) => {
+  if (error instanceof SquareNotFoundError) return 404;
+  if (error instanceof SquareConflictError) return 409;
+  if (error instanceof SquareRateLimitError) return 503;
+  if (error instanceof SquareValidationError) return 400;
+  if (error instanceof SquareError) return 502;
+  return 500;
+};
@@ -0,0 +1,46 @@
+// API endpoint for the archive retention policy, run daily by the Vercel cron in vercel.json
+// GET with Authorization: Bearer CRON_SECRET (Vercel sends it for its crons)
+// Removes archive entries older than ARCHIVE_RETENTION_DAYS (two years if it isn't set). The items stay archived in
+// Square, so their sales history is kept - they just can't be restored from the portal any more.
+
+import crypto from 'crypto';
+import { purgeEntries, retentionDays } from './_lib/archive.js';
+import { recordAudit } from './_lib/audit.js';
+import { KvBusyError } from './_lib/kv.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const authorized = (req) => {
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const actual = Buffer.from(String(req.headers?.authorization || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).json({ error: 'CRON_SECRET not configured' });
+  }
+  if (!authorized(req)) {
+    return res.status(401).json({ success: false, error: 'Not authorized' });
+  }
+
+  try {
+    const days = retentionDays();
+    const cutoff = new Date(Date.now() - days * DAY);
+    const purged = await purgeEntries(cutoff);
+
+    for (const entry of purged) {
+      await recordAudit(null, 'item.purged', { target: { kind: 'item', id: entry.squareId, label: entry.title }, artistName: entry.artistName, note: `Archived ${entry.archivedAt.slice(0, 10)}, kept for ${days} days` });
+    }
+    console.log('Archive purge:', purged.length, 'entries archived before', cutoff.toISOString(), 'removed');
+    return res.status(200).json({ success: true, purged: purged.length, cutoff: cutoff.toISOString() });
+
+  } catch (error) {
+    console.error('Archive Purge Error:', error);
+    return res.status(error instanceof KvBusyError ? 503 : 500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,188 @@
+// API endpoint for archiving items and the archive of them (see _lib/archive.js)
+// GET                              every entry, oldest first, and retentionDays - admins and sub-admins only
+// POST { action: 'archive', itemIds, returnedToArtist, requestId }
+//                                  archive items in Square (is_archived - hidden from the register and the inventory,
+//                                  sales history and SKU kept) and add their entries. Artists may archive their own.
+//                                  returnedToArtist (admins only) also makes a return receipt for each consignment
+//                                  artist among them, listing what Square has in stock (see _lib/receipts.js).
+//                                  requestId is generated once by the browser, so resending doesn't make a second receipt
+// POST { action: 'restore', itemIds }
+//                                  un-archive the same Square items and remove their entries - admins and sub-admins.
+//                                  An item deleted from Square before archiving kept it comes back with gone: true,
+//                                  and has to be made again (square-upload) before its entry is removed with DELETE
+// DELETE ?id=SQUARE_ID&version=N   remove an entry - admins and sub-admins only. A 409 carries the entry as it is
+//                                  stored now (null if it is gone).
+// POST answers with one result per item ({ squareId, title, success, error }), like sku-regenerate.js.
+// Entries older than the retention period are purged by archive-purge.js.
+
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { fetchItemOwners, canManageArtist, FORBIDDEN_MESSAGE } from './_lib/ownership.js';
+import { ensureFreshCatalog, readCatalog, markCatalogDirty } from './_lib/catalog-snapshot.js';
+import { listEntries, getEntry, normalizeEntry, saveEntry, removeEntry, retentionDays } from './_lib/archive.js';
+import { loadArtists } from './_lib/artists.js';
+import { createReceipt, findConsignmentArtist, receiptLines } from './_lib/receipts.js';
+import { transformItem, parseCategoryName } from './_lib/catalog.js';
+import { recordAudit } from './_lib/audit.js';
+import { KvBusyError } from './_lib/kv.js';
+import { squarePost, idempotencyKey, httpStatusFor } from './_lib/square.js';
+
+const BATCH_LIMIT = 50;
+
+// The fields the audit log keeps of an archived or restored item
+const auditValues = ({ sku, title, type, price, medium, dimensions }) => ({ sku, title, type, price, medium, dimensions });
+
+// Set or clear the archive flag on the Square item, unless it is already that way
+async function setArchived(item, archived) {
+  if (!!item.item_data?.is_archived === archived) return;
+  const object = { ...item, item_data: { ...item.item_data, is_archived: archived } };
+  delete object.item_data.description_plaintext;
+  await squarePost('catalog/object', { idempotency_key: idempotencyKey(archived ? 'archive' : 'unarchive', item.id, item.version), object });
+}
+
+async function archiveItems(user, itemIds, { returnedToArtist, requestId }) {
+  const owners = await fetchItemOwners(itemIds);
+  await ensureFreshCatalog();
+  const { items } = await readCatalog({ includeArchived: true });
+  const artists = returnedToArtist ? await loadArtists() : null;
+
+  const results = [];
+  const returns = new Map(); // consignor username -> { consignor, lines }
+  for (const itemId of itemIds) {
+    const owner = owners.get(itemId);
+    if (!owner) {
+      results.push({ squareId: itemId, success: false, error: 'Item not found in Square' });
+      continue;
+    }
+    // The snapshot has the photos, stock and category labels; an item made a moment ago may not be in it yet
+    const item = items.find(i => i.squareId === itemId)
+      || { ...transformItem(owner.item), artistName: owner.artistName, category: owner.categoryName, type: parseCategoryName(owner.categoryName).type };
+    if (!canManageArtist(user, owner.artistName)) {
+      console.warn('Archive denied -', user.username, 'tried to archive', itemId, 'owned by', owner.artistName || '(no artist)');
+      results.push({ squareId: itemId, title: item.title, success: false, error: FORBIDDEN_MESSAGE });
+      continue;
+    }
+
+    try {
+      const { entry, error } = normalizeEntry({ ...item, artistName: owner.artistName || '', archived: true });
+      if (error) throw new Error(error);
+      await setArchived(owner.item, true);
+      // A resent request finds the entry already saved - the item was archived (and audited) the first time
+      if ((await saveEntry(user, entry, 0)).conflict) {
+        results.push({ squareId: itemId, title: item.title, success: true });
+        continue;
+      }
+
+      const consignor = returnedToArtist ? findConsignmentArtist(artists, owner.artistName) : null;
+      const lines = consignor ? receiptLines(item) : [];
+      if (lines.length > 0) {
+        if (!returns.has(consignor[0])) returns.set(consignor[0], { consignor, lines: [] });
+        returns.get(consignor[0]).lines.push(...lines);
+      }
+      console.log('Item archived:', itemId, item.title, 'by', user.username);
+      await recordAudit(user, 'item.archived', { target: { kind: 'item', id: itemId, label: item.title }, artistName: owner.artistName, before: auditValues(item), note: lines.length > 0 ? 'Returned to the artist' : null });
+      results.push({ squareId: itemId, title: item.title, success: true });
+    } catch (error) {
+      console.error('Archive failed:', itemId, error);
+      results.push({ squareId: itemId, title: item.title, success: false, error: error.message });
+    }
+  }
+
+  // The items are already archived, so a failed receipt is reported rather than failing the archive
+  const receipts = [];
+  const receiptErrors = [];
+  for (const { consignor: [username, artist], lines } of returns.values()) {
+    try {
+      receipts.push(await createReceipt(user, { kind: 'return', username, artist, lines, requestId }));
+    } catch (error) {
+      console.error('Return receipt failed:', username, error);
+      receiptErrors.push(`${artist.name}: ${error.message}`);
+    }
+  }
+  return { results, receipts, receiptErrors };
+}
+
+async function restoreItems(user, itemIds) {
+  const owners = await fetchItemOwners(itemIds);
+  const results = [];
+  for (const itemId of itemIds) {
+    const entry = await getEntry(itemId);
+    if (!entry) {
+      results.push({ squareId: itemId, success: false, error: 'This item is no longer in the archive' });
+      continue;
+    }
+    const owner = owners.get(itemId);
+    if (!owner) {
+      results.push({ squareId: itemId, title: entry.title, success: false, gone: true, error: 'This item was deleted from Square when it was archived, so it has to be made again' });
+      continue;
+    }
+
+    try {
+      await setArchived(owner.item, false);
+      // Someone else restoring it at the same moment has already removed the entry
+      await removeEntry(itemId, entry.entryVersion);
+      console.log('Item restored:', itemId, entry.title, 'by', user.username);
+      await recordAudit(user, 'item.restored', { target: { kind: 'item', id: itemId, label: entry.title }, artistName: owner.artistName, after: auditValues(entry) });
+      results.push({ squareId: itemId, title: entry.title, success: true });
+    } catch (error) {
+      console.error('Restore failed:', itemId, error);
+      results.push({ squareId: itemId, title: entry.title, success: false, error: error.message });
+    }
+  }
+  return { results };
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: req.method !== 'POST' || req.body?.action !== 'archive' });
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ success: true, entries: await listEntries(), retentionDays: retentionDays() });
+    }
+
+    if (req.method === 'DELETE') {
+      const { id } = req.query || {};
+      const version = parseInt(req.query?.version);
+      if (!id || !Number.isInteger(version)) return res.status(400).json({ success: false, error: 'id and version are required' });
+      const result = await removeEntry(id, version);
+      if (result.conflict !== undefined) {
+        return res.status(409).json({ success: false, conflict: true, error: result.conflict ? 'This archive entry was changed since you loaded it - please reload and try again' : 'This item is no longer in the archive', entry: result.conflict });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    if (!process.env.SQUARE_ACCESS_TOKEN) {
+      return res.status(500).json({ error: 'Square credentials not configured' });
+    }
+
+    const { action, itemIds, returnedToArtist, requestId } = req.body || {};
+    if (!['archive', 'restore'].includes(action)) return res.status(400).json({ success: false, error: 'action must be "archive" or "restore"' });
+    if (!Array.isArray(itemIds) || itemIds.length === 0 || itemIds.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({ success: false, error: 'itemIds is required' });
+    }
+    if (itemIds.length > BATCH_LIMIT) return res.status(400).json({ success: false, error: `At most ${BATCH_LIMIT} items per request` });
+    if (returnedToArtist && !isAdminUser(user)) {
+      return res.status(403).json({ success: false, error: 'Only the gallery can record work going back to an artist' });
+    }
+
+    const ids = [...new Set(itemIds)];
+    const outcome = action === 'archive' ? await archiveItems(user, ids, { returnedToArtist: !!returnedToArtist, requestId: typeof requestId === 'string' ? requestId : null }) : await restoreItems(user, ids);
+    if (outcome.results.some(r => r.success)) await markCatalogDirty();
+
+    const failed = outcome.results.filter(r => !r.success);
+    return res.status(200).json({
+      success: failed.length === 0,
+      ...outcome,
+      error: failed[0]?.error
+    });
+
+  } catch (error) {
+    console.error('Archive Error:', error);
+    return res.status(error instanceof KvBusyError ? 503 : httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
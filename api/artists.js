@@ -0,0 +1,80 @@
+// API endpoint for artist and admin accounts (the cbg-artists store - see _lib/artists.js)
+// GET                                           admins get every account; anyone else just their own
+// PUT  { username, artist, version }            add (version 0) or change one account. The change only goes in if
+//      the stored account is still at `version`; otherwise 409 with the account as it is now, to reload and redo.
+// POST { artists: { username: artist } }        add the accounts that don't exist yet and leave the rest alone
+//      (the built-in list on a new install, the sub-admin slots)
+// Passwords are not part of an account - see auth-reset.js and auth-password.js. Admins and sub-admins only for
+// changes; only the main admin may add or change admin and sub-admin accounts.
+
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { loadArtists, normalizeArtist, updateArtist, addMissingArtists, auditArtistChanges, isAdminType } from './_lib/artists.js';
+import { KvBusyError } from './_lib/kv.js';
+import { httpStatusFor } from './_lib/square.js';
+
+const ADMIN_ONLY_MESSAGE = 'Only the main admin can change admin accounts';
+
+export default async function handler(req, res) {
+  if (!['GET', 'PUT', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: req.method !== 'GET' });
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const artists = await loadArtists();
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({
+        success: true,
+        artists: isAdminUser(user) ? artists : Object.fromEntries(Object.entries(artists).filter(([username]) => username === user.username))
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { artists } = req.body || {};
+      if (!artists || typeof artists !== 'object' || Array.isArray(artists)) {
+        return res.status(400).json({ success: false, error: 'artists must be an object of username -> account' });
+      }
+      const accounts = {};
+      for (const [username, input] of Object.entries(artists)) {
+        const { artist, error } = normalizeArtist(username, input);
+        if (error) return res.status(400).json({ success: false, error: `${username}: ${error}` });
+        if (isAdminType(artist.type) && user.type !== 'admin') return res.status(403).json({ success: false, error: ADMIN_ONLY_MESSAGE });
+        accounts[username] = artist;
+      }
+      const added = await addMissingArtists(accounts);
+      if (added.length > 0) {
+        console.log('Accounts added:', added.join(', '), 'by', user.username);
+        await auditArtistChanges(user, {}, Object.fromEntries(added.map(username => [username, accounts[username]])));
+      }
+      return res.status(200).json({ success: true, added, artists: await loadArtists() });
+    }
+
+    const { username, version } = req.body || {};
+    const { artist, error } = normalizeArtist(username, req.body?.artist);
+    if (error) return res.status(400).json({ success: false, error });
+    if (!Number.isInteger(version) || version < 0) return res.status(400).json({ success: false, error: 'version is required (0 to add an account)' });
+
+    let conflict;
+    let forbidden = false;
+    const result = await updateArtist(username, (current) => {
+      if ((current?.version || 0) !== version) { conflict = current; return undefined; }
+      if ((isAdminType(artist.type) || isAdminType(current?.type)) && user.type !== 'admin') { forbidden = true; return undefined; }
+      const { needsSetup, ...kept } = current || {};
+      return { ...kept, ...artist };
+    });
+    if (forbidden) return res.status(403).json({ success: false, error: ADMIN_ONLY_MESSAGE });
+    if (conflict !== undefined) {
+      return res.status(409).json({ success: false, conflict: true, error: 'Someone else changed this account since you loaded it - it has been reloaded, please make your change again', artist: conflict });
+    }
+
+    await auditArtistChanges(user, { [username]: result.before }, { [username]: result.after });
+    return res.status(200).json({ success: true, username, artist: result.after });
+
+  } catch (error) {
+    console.error('Artists Error:', error);
+    return res.status(error instanceof KvBusyError ? 503 : httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
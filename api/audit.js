@@ -0,0 +1,50 @@
+// API endpoint for the audit log (see _lib/audit.js)
+// GET ?itemId=ID                                        one item's history - anyone who may manage that item
+// GET ?from=&to=&action=&actor=&artist=&q=&offset=       search the whole log - admins and sub-admins only
+
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { fetchItemOwner, canManageArtist, FORBIDDEN_MESSAGE } from './_lib/ownership.js';
+import { readAudit, readItemHistory } from './_lib/audit.js';
+import { httpStatusFor } from './_lib/square.js';
+
+const PAGE_SIZE = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { itemId, from, to, action, actor, artist, q, offset } = req.query || {};
+
+    if (itemId) {
+      if (!isAdminUser(user)) {
+        const owner = await fetchItemOwner(itemId);
+        if (owner && !canManageArtist(user, owner.artistName)) {
+          return res.status(403).json({ success: false, error: FORBIDDEN_MESSAGE });
+        }
+        // A deleted item's history is only shown to admins - there is no owner left to check against
+        if (!owner) return res.status(404).json({ success: false, error: 'Item not found in Square' });
+      }
+      return res.status(200).json({ success: true, entries: await readItemHistory(itemId) });
+    }
+
+    if (!isAdminUser(user)) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ success: false, error: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    const result = await readAudit({ from, to, action, actor, artistName: artist, q, limit: PAGE_SIZE, offset: parseInt(offset) || 0 });
+    return res.status(200).json({ success: true, ...result, pageSize: PAGE_SIZE });
+
+  } catch (error) {
+    console.error('Audit Error:', error);
+    return res.status(httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,45 @@
+// API endpoint for auto-login from the integrated portal
+// POST: { token } - a short-lived, single-use hand-off token signed with PORTAL_HANDOFF_SECRET
+// The portal has already checked the member's role; role 'admin' grants admin access
+// regardless of the account's type in the artist database.
+
+import { verifyHandoffToken, HandoffError } from './_lib/handoff.js';
+import { loadAccount } from './_lib/artists.js';
+import { kvSetNx } from './_lib/kv.js';
+import { createSession, publicUser, clientIp } from './_lib/auth.js';
+
+const REJECTED_MESSAGE = 'This portal link is invalid or has expired. Please go back to the dashboard and try again.';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const ip = clientIp(req);
+
+  try {
+    const payload = verifyHandoffToken(req.body?.token);
+    const username = String(payload.sub).toLowerCase();
+
+    // Single use: the first redemption claims the token id until well after it expires
+    const firstUse = await kvSetNx(`cbg-handoff-used:${payload.jti}`, username, { ex: 60 * 10 });
+    if (!firstUse) throw new HandoffError('replayed');
+
+    const { artist } = await loadAccount(username);
+    if (!artist || !artist.active) throw new HandoffError(`unknown or inactive user ${username}`);
+
+    const type = payload.role === 'admin' ? 'admin' : undefined;
+    await createSession(res, username, { type, via: 'handoff' });
+    console.log('Hand-off login for', username, type ? '(admin)' : '', 'from', ip);
+
+    return res.status(200).json({ success: true, user: publicUser(username, artist, { ...(type ? { type } : {}), mustChangePassword: false }) });
+
+  } catch (error) {
+    if (error instanceof HandoffError) {
+      console.warn(error.message, '- ip:', ip);
+      return res.status(401).json({ success: false, error: REJECTED_MESSAGE });
+    }
+    console.error('Hand-off Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,55 @@
+// API endpoint to log in to the portal
+// POST: Check username/password against the hashed credential and issue a session cookie
+// Repeated failures are rate-limited per username and per IP
+
+import { loadAccount, credentialKey } from './_lib/artists.js';
+import { hashPassword, verifyPassword } from './_lib/passwords.js';
+import { kvSetJson } from './_lib/kv.js';
+import { createSession, publicUser, clientIp, isLoginLocked, recordLoginFailure, clearLoginFailures } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const username = String(req.body?.username || '').toLowerCase().trim();
+    const password = String(req.body?.password || '');
+    const ip = clientIp(req);
+
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'Username and password are required' });
+    }
+
+    if (await isLoginLocked(username, ip)) {
+      console.warn('Login rate-limited - user:', username, 'ip:', ip);
+      return res.status(429).json({ success: false, error: 'Too many failed attempts. Please wait 15 minutes and try again.' });
+    }
+
+    let { artist, credential } = await loadAccount(username);
+
+    // First-run bootstrap: the main admin can sign in with ADMIN_INITIAL_PASSWORD until a credential exists
+    if (!credential && username === 'admin' && artist && process.env.ADMIN_INITIAL_PASSWORD && password === process.env.ADMIN_INITIAL_PASSWORD) {
+      credential = { hash: await hashPassword(password), mustChange: true, updatedAt: new Date().toISOString() };
+      await kvSetJson(credentialKey(username), credential);
+    }
+
+    const valid = !!artist && artist.active && !!credential && await verifyPassword(password, credential.hash);
+    if (!valid) {
+      await recordLoginFailure(username, ip);
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    await clearLoginFailures(username);
+    await createSession(res, username);
+
+    return res.status(200).json({
+      success: true,
+      user: publicUser(username, artist, { mustChangePassword: !!credential.mustChange })
+    });
+
+  } catch (error) {
+    console.error('Login Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
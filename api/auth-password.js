@@ -0,0 +1,63 @@
+// API endpoint to change the signed-in user's password
+// POST: { currentPassword, newPassword, name? }
+// currentPassword is not required when the account is flagged for a forced change
+// (new or reset accounts) or is a sub-admin completing first-time setup, who also sends a display name.
+
+import { loadAccount, updateArtist, credentialKey, isAdminType } from './_lib/artists.js';
+import { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH } from './_lib/passwords.js';
+import { kvSetJson } from './_lib/kv.js';
+import { requireUser, createSession, publicUser } from './_lib/auth.js';
+import { recordAudit } from './_lib/audit.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { allowPasswordChange: true });
+    if (!user) return;
+
+    const { currentPassword, newPassword, name } = req.body || {};
+    const { artist, credential } = await loadAccount(user.username);
+
+    if (!credential?.mustChange && !artist.needsSetup && !(await verifyPassword(String(currentPassword || ''), credential?.hash))) {
+      return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (artist.needsSetup && !String(name || '').trim()) {
+      return res.status(400).json({ success: false, error: 'Please enter your name' });
+    }
+
+    let updatedArtist = artist;
+    if (artist.needsSetup) {
+      ({ after: updatedArtist } = await updateArtist(user.username, (current) => current ? { ...current, name: String(name).trim(), needsSetup: false } : undefined));
+    }
+
+    await kvSetJson(credentialKey(user.username), {
+      hash: await hashPassword(newPassword),
+      mustChange: false,
+      updatedAt: new Date().toISOString()
+    });
+
+    await recordAudit(user, 'account.password_changed', {
+      target: { kind: 'account', id: user.username, label: updatedArtist.name },
+      artistName: isAdminType(artist.type) ? null : updatedArtist.name,
+      note: artist.needsSetup ? 'First-time setup' : credential?.mustChange ? 'Replaced temporary password' : null
+    });
+
+    // The credential change invalidates older sessions, including this one - issue a fresh cookie
+    await createSession(res, user.username, user.type !== artist.type ? { type: user.type } : {});
+
+    return res.status(200).json({
+      success: true,
+      user: publicUser(user.username, updatedArtist, { ...(user.type !== artist.type ? { type: user.type } : {}), mustChangePassword: false })
+    });
+
+  } catch (error) {
+    console.error('Password Change Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
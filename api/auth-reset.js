@@ -0,0 +1,53 @@
+// API endpoint for admins to issue a temporary password
+// POST: { username } - generates a one-time password the user must change on next login
+// Only the main admin may reset admin and sub-admin accounts
+
+import { loadAccount, updateArtist, credentialKey, isAdminType } from './_lib/artists.js';
+import { hashPassword, generateTempPassword } from './_lib/passwords.js';
+import { kvSetJson } from './_lib/kv.js';
+import { requireUser } from './_lib/auth.js';
+import { recordAudit } from './_lib/audit.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const admin = await requireUser(req, res, { admin: true });
+    if (!admin) return;
+
+    const username = String(req.body?.username || '').toLowerCase().trim();
+    if (!username) {
+      return res.status(400).json({ success: false, error: 'username is required' });
+    }
+
+    const { artist } = await loadAccount(username);
+    if (!artist) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+    if (isAdminType(artist.type) && admin.type !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Only the main admin can reset admin accounts' });
+    }
+
+    const tempPassword = generateTempPassword();
+    await kvSetJson(credentialKey(username), {
+      hash: await hashPassword(tempPassword),
+      mustChange: true,
+      updatedAt: new Date().toISOString()
+    });
+
+    // Sub-admins re-run first-time setup (name + password) after a reset
+    if (artist.type === 'subadmin' && !artist.needsSetup) {
+      await updateArtist(username, (current) => current ? { ...current, needsSetup: true } : undefined);
+    }
+
+    console.log('Password reset for', username, 'by', admin.username);
+    await recordAudit(admin, 'account.password_reset', { target: { kind: 'account', id: username, label: artist.name }, artistName: isAdminType(artist.type) ? null : artist.name });
+    return res.status(200).json({ success: true, username, tempPassword });
+
+  } catch (error) {
+    console.error('Password Reset Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
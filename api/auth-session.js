@@ -0,0 +1,25 @@
+// API endpoint for the current login session
+// GET: Return the signed-in user (or null) so the portal can restore a session on reload
+// DELETE: Log out and clear the session cookie
+
+import { getSessionUser, destroySession } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const user = await getSessionUser(req);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ success: true, user });
+    }
+
+    if (req.method === 'DELETE') {
+      await destroySession(req, res);
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Session Error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,41 @@
+// API endpoint for the artwork types offered in the item forms (see _lib/categories.js)
+// GET                              { categories, version } - categories is null until the list is first saved
+// PUT { categories, version }      replace the list. It only goes in if the stored list is still at `version`;
+//                                  otherwise 409 with the list as it is now, to reload and redo the change.
+// Any signed-in user may read the list; changing it is for admins and sub-admins.
+
+import { requireUser } from './_lib/auth.js';
+import { loadCategories, normalizeCategories, saveCategories } from './_lib/categories.js';
+import { KvBusyError } from './_lib/kv.js';
+import { httpStatusFor } from './_lib/square.js';
+
+export default async function handler(req, res) {
+  if (!['GET', 'PUT'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: req.method === 'PUT' });
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ success: true, ...(await loadCategories()) });
+    }
+
+    const { version } = req.body || {};
+    const { categories, error } = normalizeCategories(req.body?.categories);
+    if (error) return res.status(400).json({ success: false, error });
+    if (!Number.isInteger(version) || version < 0) return res.status(400).json({ success: false, error: 'version is required' });
+
+    const result = await saveCategories(user, version, categories);
+    if (result.conflict) {
+      return res.status(409).json({ success: false, conflict: true, error: 'Someone else changed the categories since you loaded them - they have been reloaded, please make your change again', ...result.conflict });
+    }
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Categories Error:', error);
+    return res.status(error instanceof KvBusyError ? 503 : httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,164 @@
+// API endpoint to apply a stock count session to Square (see _lib/count-sessions.js)
+// POST: { id, zeroUncounted } - every scanned variation is set to its counted quantity with PHYSICAL_COUNT
+// changes; with zeroUncounted, variations Square has in stock at the location that nobody scanned are set to 0.
+// The changes go in as few inventory calls as Square allows (MAX_CHANGES each). The lines are frozen on the
+// session before the first call, and each call that goes through is recorded (applying.sent) along with its counts
+// and audit entries. So if one fails, a retry carries on from there with exactly the same changes, or the count can
+// be cancelled (what was sent stays set). If Square refuses the very first call outright (say a variation was
+// deleted since the count), the lines are unfrozen instead - resending them would only fail again - so the scans can
+// be fixed and the count applied anew.
+// Admins and sub-admins only.
+
+import { requireUser } from './_lib/auth.js';
+import { findLocation } from './_lib/locations.js';
+import { ensureFreshCatalog, readCatalog, markCatalogDirty } from './_lib/catalog-snapshot.js';
+import { recordCount } from './_lib/live-inventory.js';
+import { getSession, updateSession, countReport } from './_lib/count-sessions.js';
+import { KvBusyError } from './_lib/kv.js';
+import { squarePost, idempotencyKey, httpStatusFor, SquareValidationError } from './_lib/square.js';
+import { recordAudit } from './_lib/audit.js';
+
+const MAX_CHANGES = 100; // Square's limit on changes per batch-create
+
+// Send the frozen lines not yet sent as PHYSICAL_COUNT changes. After each call the counts Square answers with are
+// stored, the lines it changed audited, and the progress saved on the session. Returns the IN_STOCK counts.
+async function sendCounts(user, session) {
+  const { at, lines, sent = 0 } = session.applying;
+  const counts = [];
+  for (let i = sent; i < lines.length; i += MAX_CHANGES) {
+    const chunk = lines.slice(i, i + MAX_CHANGES);
+    const data = await squarePost('inventory/changes/batch-create', {
+      idempotency_key: idempotencyKey('count-session', session.id, at, i),
+      changes: chunk.map(line => ({
+        type: 'PHYSICAL_COUNT',
+        physical_count: {
+          catalog_object_id: line.variationId,
+          location_id: session.locationId,
+          quantity: String(line.counted),
+          state: 'IN_STOCK',
+          occurred_at: at
+        }
+      }))
+    });
+    const chunkCounts = (data.counts || []).filter(count => count.state === 'IN_STOCK').map(count => ({
+      variationId: count.catalog_object_id,
+      locationId: count.location_id,
+      quantity: parseInt(count.quantity) || 0,
+      calculatedAt: count.calculated_at
+    }));
+    for (const count of chunkCounts) await recordCount(count);
+    await markCatalogDirty();
+    for (const line of chunk.filter(line => line.counted !== line.expected)) {
+      await recordAudit(user, 'item.quantity', {
+        target: { kind: 'item', id: line.itemId, label: line.title },
+        artistName: line.artistName,
+        before: { quantity: line.expected },
+        after: { quantity: line.counted },
+        note: `Stock count "${session.name}"`
+      });
+    }
+    counts.push(...chunkCounts);
+    await updateSession(session.id, (current) => current?.applying?.at === at
+      ? { ...current, applying: { ...current.applying, sent: i + chunk.length } }
+      : undefined);
+  }
+  return counts;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.SQUARE_ACCESS_TOKEN || !process.env.SQUARE_LOCATION_ID) {
+    return res.status(500).json({ error: 'Square credentials not configured' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: true });
+    if (!user) return;
+
+    const { id, zeroUncounted } = req.body || {};
+    const existing = id ? await getSession(id) : null;
+    if (!existing) return res.status(404).json({ success: false, error: 'Count not found' });
+    if (existing.status !== 'open') return res.status(409).json({ success: false, error: `This count was already ${existing.status}` });
+    if (!(await findLocation(existing.locationId))) return res.status(400).json({ success: false, error: `${existing.locationName} is no longer an open location` });
+
+    await ensureFreshCatalog();
+    const { items } = await readCatalog();
+
+    // Freeze the lines from the tallies as stored now, so a scan saved in the meantime isn't lost or half-applied
+    let refused = null;
+    const session = await updateSession(id, (current) => {
+      if (current?.status !== 'open') {
+        refused = [409, `This count was already ${current?.status || 'removed'}`];
+        return undefined;
+      }
+      if (current.applying) return { ...current, applying: { ...current.applying, error: null } };
+      const lines = countReport(current, items).lines
+        .filter(line => line.counted !== null || zeroUncounted)
+        .map(({ variationId, itemId, title, artistName, expected, counted }) => ({ variationId, itemId, title, artistName, expected, counted: counted ?? 0 }));
+      if (lines.length === 0) {
+        refused = [400, 'Nothing has been counted yet'];
+        return undefined;
+      }
+      return { ...current, applying: { at: new Date().toISOString(), lines } };
+    });
+    if (refused) return res.status(refused[0]).json({ success: false, error: refused[1] });
+    const { at, lines } = session.applying;
+
+    let counts;
+    try {
+      counts = await sendCounts(user, session);
+    } catch (error) {
+      // Only lines none of which reached Square can be unfrozen - once some are set, the rest have to follow
+      let released = false;
+      let sent = 0;
+      await updateSession(id, (current) => {
+        if (current?.applying?.at !== at) return undefined;
+        const { applying, ...rest } = current;
+        sent = applying.sent || 0;
+        released = error instanceof SquareValidationError && sent === 0;
+        return released ? rest : { ...current, applying: { ...applying, error: error.message } };
+      });
+      console.error('Count apply failed:', session.id, released ? '(lines unfrozen)' : `(${sent} of ${lines.length} lines sent)`, error);
+      return res.status(httpStatusFor(error)).json({
+        success: false,
+        released,
+        sent,
+        error: released ? `Square refused the count: ${error.message}` : error.message
+      });
+    }
+
+    const changed = lines.filter(line => line.counted !== line.expected);
+    const appliedAt = new Date().toISOString();
+    await updateSession(id, (current) => {
+      if (!current) return undefined;
+      const { applying, ...rest } = current;
+      return {
+        ...rest,
+        status: 'applied',
+        appliedAt,
+        appliedBy: user.name || user.username,
+        updatedAt: appliedAt,
+        updatedBy: user.name || user.username,
+        summary: { lines: lines.length, changed: changed.length, discrepancies: changed.map(({ variationId, title, expected, counted }) => ({ variationId, title, expected, counted })) }
+      };
+    });
+    console.log('Count applied:', session.id, session.locationName, lines.length, 'lines,', changed.length, 'changed, by', user.username);
+
+    return res.status(200).json({
+      success: true,
+      applied: lines.length,
+      changed: changed.length,
+      counts: counts.map(({ variationId, locationId, quantity }) => ({ variationId, locationId, quantity }))
+    });
+
+  } catch (error) {
+    console.error('Count Apply Error:', error);
+    return res.status(error instanceof KvBusyError ? 503 : httpStatusFor(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,99 @@
+// API endpoint for stock count sessions (see _lib/count-sessions.js)
+// GET                   every session, newest first, without tallies
+// GET ?id=ID            one session with its tallies and the counted-versus-Square report
+// POST   { locationId, name }             start a count at a location - one open count per location
+// PUT    { id, add: { variationId: n }, remove: [variationId] }   save scans; n may be negative to undo.
+//        Scans are sent as changes rather than totals, so two scanners working the same count add up.
+// DELETE ?id=ID         cancel an open count (also one whose apply failed)
+// Applying a count to Square is api/count-apply.js. Admins and sub-admins only.
+
+import { requireUser } from './_lib/auth.js';
+import { findLocation } from './_lib/locations.js';
+import { ensureFreshCatalog, readCatalog } from './_lib/catalog-snapshot.js';
+import { listSessions, getSession, updateSession, createSession, sessionSummary, countReport } from './_lib/count-sessions.js';
+import { KvBusyError } from './_lib/kv.js';
+import { httpStatusFor } from './_lib/square.js';
+
+const MAX_CHANGES = 500;
+const MAX_TALLY = 100000;
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: true });
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const { id } = req.query || {};
+      if (!id) return res.status(200).json({ success: true, sessions: (await listSessions()).map(sessionSummary) });
+
+      const session = await getSession(id);
+      if (!session) return res.status(404).json({ success: false, error: 'Count not found' });
+      await ensureFreshCatalog();
+      const { items } = await readCatalog();
+      const { applying, ...visible } = session;
+      return res.status(200).json({ success: true, session: visible, report: countReport(session, items) });
+    }
+
+    if (req.method === 'POST') {
+      const { locationId, name } = req.body || {};
+      const location = await findLocation(locationId || process.env.SQUARE_LOCATION_ID);
+      if (!location) return res.status(400).json({ success: false, error: 'Unknown or closed location' });
+      const open = (await listSessions()).find(s => s.status === 'open' && s.locationId === location.id);
+      if (open) return res.status(409).json({ success: false, error: `"${open.name}" is still open for ${location.name} - resume or cancel it first`, session: sessionSummary(open) });
+
+      const session = await createSession(user, { name, location });
+      console.log('Count started:', session.id, location.name, 'by', user.username);
+      return res.status(200).json({ success: true, session });
+    }
+
+    const id = req.method === 'DELETE' ? req.query?.id : req.body?.id;
+    if (!id) return res.status(404).json({ success: false, error: 'Count not found' });
+
+    let add = {};
+    let remove = [];
+    if (req.method === 'PUT') {
+      ({ add = {}, remove = [] } = req.body || {});
+      if (typeof add !== 'object' || Array.isArray(add) || !Array.isArray(remove)) {
+        return res.status(400).json({ success: false, error: 'add must be an object and remove a list' });
+      }
+      if (Object.keys(add).length + remove.length > MAX_CHANGES) {
+        return res.status(400).json({ success: false, error: `At most ${MAX_CHANGES} changes per save` });
+      }
+      if (Object.values(add).some(n => !Number.isInteger(n) || Math.abs(n) > MAX_TALLY)) {
+        return res.status(400).json({ success: false, error: 'Counts must be whole numbers' });
+      }
+    }
+
+    // The change is made to the session as stored at that moment, under its lock
+    let refused = null;
+    const saved = await updateSession(id, (session) => {
+      if (!session) refused = [404, 'Count not found'];
+      else if (session.status !== 'open') refused = [409, `This count was already ${session.status}`];
+      else if (session.applying && !(req.method === 'DELETE' && session.applying.error)) refused = [409, 'This count is being applied to Square'];
+      if (refused) return undefined;
+
+      const stamp = { updatedAt: new Date().toISOString(), updatedBy: user.name || user.username };
+      if (req.method === 'DELETE') return { ...session, status: 'cancelled', ...stamp };
+
+      const tallies = { ...session.tallies };
+      for (const [variationId, n] of Object.entries(add)) tallies[variationId] = Math.min(MAX_TALLY, Math.max(0, (tallies[variationId] || 0) + n));
+      for (const variationId of remove) delete tallies[variationId];
+      return { ...session, tallies, ...stamp };
+    });
+    if (refused) return res.status(refused[0]).json({ success: false, error: refused[1] });
+
+    if (req.method === 'DELETE') {
+      console.log('Count cancelled:', id, 'by', user.username);
+      return res.status(200).json({ success: true });
+    }
+    return res.status(200).json({ success: true, session: saved });
+
+  } catch (error) {
+    console.error('Count Sessions Error:', error);
+    return res.status(error instanceof KvBusyError ? 503 : httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,74 @@
+// API endpoint for the gallery Financials dashboard
+// GET: ?start=YYYY-MM-DD&end=YYYY-MM-DD
+// Monthly revenue, sales tax collected, commissions earned vs payouts owed, and top-selling
+// artists and artwork types, from completed Square orders and the rates in cbg-artists.
+// Callers are either a portal admin (session cookie) or the integrated portal's Financials page,
+// which sends a short-lived bearer token signed with PORTAL_HANDOFF_SECRET.
+
+import { requireUser, clientIp } from './_lib/auth.js';
+import { verifyPortalBearer, HandoffError } from './_lib/handoff.js';
+import { loadArtists } from './_lib/artists.js';
+import { parseDateRange, fetchCompletedOrders, orderLines, resolveVariations, buildStatements, summarizeFinancials, toDollars } from './_lib/sales.js';
+import { httpStatusFor } from './_lib/square.js';
+
+const FINANCE_ROLES = ['admin', 'finance', 'it'];
+
+export default async function handler(req, res) {
+  // The Financials page lives on the integrated portal's domain
+  const dashboardOrigin = process.env.PORTAL_DASHBOARD_ORIGIN;
+  if (!dashboardOrigin) {
+    return res.status(500).json({ error: 'PORTAL_DASHBOARD_ORIGIN not configured' });
+  }
+  res.setHeader('Access-Control-Allow-Origin', dashboardOrigin);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Vary', 'Origin');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.SQUARE_ACCESS_TOKEN || !process.env.SQUARE_LOCATION_ID) {
+    return res.status(500).json({ error: 'Square credentials not configured' });
+  }
+
+  try {
+    let bearer = null;
+    try {
+      bearer = verifyPortalBearer(req, { audience: 'financials', roles: FINANCE_ROLES });
+    } catch (error) {
+      if (!(error instanceof HandoffError)) throw error;
+      console.warn(error.message, '- financials, ip:', clientIp(req));
+      return res.status(401).json({ success: false, error: 'Your dashboard session has expired. Please reload the page.' });
+    }
+    if (!bearer && !(await requireUser(req, res, { admin: true }))) return;
+
+    const range = parseDateRange(req.query);
+    if (range.error) return res.status(400).json({ success: false, error: range.error });
+
+    const [orders, artists] = await Promise.all([fetchCompletedOrders(range), loadArtists()]);
+    const lines = orderLines(orders);
+    const variationLookup = await resolveVariations(lines.map(line => line.variationId));
+    const { statements, unmatched } = buildStatements(lines, variationLookup, artists);
+    const summary = summarizeFinancials(orders, lines, variationLookup, statements);
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      success: true,
+      start: range.startDate,
+      end: range.endDate,
+      ...summary,
+      unmatchedSales: toDollars(unmatched.reduce((total, line) => total + Math.round(line.gross * 100), 0))
+    });
+
+  } catch (error) {
+    console.error('Financials Error:', error);
+    return res.status(httpStatusFor(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
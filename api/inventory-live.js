@@ -0,0 +1,36 @@
+// API endpoint the inventory tab polls for changes pushed by Square webhooks
+// GET: ?after=<seq> - returns events newer than seq plus the latest seq to poll from next.
+// Without ?after only the latest seq is returned, so a freshly loaded page starts from "now".
+// Artists only see sold events for their own work; count and catalog events carry no artist details.
+
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { sameArtist } from './_lib/catalog.js';
+import { eventsAfter } from './_lib/live-inventory.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const after = parseInt(req.query.after);
+    let { latestSeq, events, resync } = await eventsAfter(Number.isFinite(after) ? after : Infinity);
+
+    if (!isAdminUser(user)) {
+      events = events.filter(event => event.type !== 'sold' || sameArtist(event.artistName, user.name));
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, latestSeq, events, resync });
+
+  } catch (error) {
+    console.error('Inventory Live Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
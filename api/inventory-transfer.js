@@ -0,0 +1,123 @@
+// API endpoint to move stock between Square locations - the gallery, storage, off-site shows
+// POST: { fromLocationId, toLocationId, lines: [{ variationId, quantity }], note, requestId }
+// All lines go to Square as TRANSFER changes in one inventory call, so each location's register sees what was
+// physically moved. requestId is generated once per transfer by the browser and reused if it resends.
+// A line may not move more than the snapshot has at the source location.
+// Admins and sub-admins only.
+
+import { requireUser } from './_lib/auth.js';
+import { listLocations } from './_lib/locations.js';
+import { ensureFreshCatalog, readCatalog, markCatalogDirty } from './_lib/catalog-snapshot.js';
+import { recordCount, changeTime } from './_lib/live-inventory.js';
+import { squarePost, idempotencyKey, httpStatusFor } from './_lib/square.js';
+import { recordAudit } from './_lib/audit.js';
+
+const MAX_LINES = 100; // Square's limit on changes per batch-create
+
+const lineLabel = ({ item, variation }) => item.variations.length > 1 && variation.name ? `${item.title} (${variation.name})` : item.title;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.SQUARE_ACCESS_TOKEN || !process.env.SQUARE_LOCATION_ID) {
+    return res.status(500).json({ error: 'Square credentials not configured' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: true });
+    if (!user) return;
+
+    const { fromLocationId, toLocationId, lines, note, requestId } = req.body || {};
+    const locations = await listLocations();
+    const from = locations.find(location => location.id === fromLocationId);
+    const to = locations.find(location => location.id === toLocationId);
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'fromLocationId and toLocationId must be open Square locations' });
+    }
+    if (from.id === to.id) {
+      return res.status(400).json({ success: false, error: 'Pick two different locations' });
+    }
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ success: false, error: 'lines is required' });
+    }
+    if (lines.length > MAX_LINES) {
+      return res.status(400).json({ success: false, error: `At most ${MAX_LINES} lines per transfer` });
+    }
+
+    await ensureFreshCatalog();
+    const { items } = await readCatalog();
+    const byVariation = new Map(items.flatMap(item => item.variations.map(variation => [variation.id, { item, variation }])));
+
+    // The same variation listed twice moves the combined quantity
+    const moves = new Map();
+    const problems = [];
+    for (const line of lines) {
+      const found = byVariation.get(line?.variationId);
+      const quantity = Number(line?.quantity);
+      if (!found) problems.push(`${line?.variationId || '(no variationId)'}: not in the catalog`);
+      else if (!Number.isInteger(quantity) || quantity <= 0) problems.push(`${lineLabel(found)}: quantity must be a whole number above 0`);
+      else moves.set(found.variation.id, { ...found, quantity: (moves.get(found.variation.id)?.quantity || 0) + quantity });
+    }
+    for (const move of moves.values()) {
+      const available = move.variation.locationQuantities[from.id] || 0;
+      if (move.quantity > available) problems.push(`${lineLabel(move)}: only ${available} at ${from.name}`);
+    }
+    if (problems.length > 0) {
+      return res.status(400).json({ success: false, error: problems.join('; '), problems });
+    }
+
+    const occurredAt = await changeTime('transfer', requestId);
+    const changes = [...moves.values()].map(({ variation, quantity }) => ({
+      type: 'TRANSFER',
+      transfer: {
+        catalog_object_id: variation.id,
+        state: 'IN_STOCK',
+        from_location_id: from.id,
+        to_location_id: to.id,
+        quantity: String(quantity),
+        occurred_at: occurredAt
+      }
+    }));
+    const data = await squarePost('inventory/changes/batch-create', {
+      idempotency_key: idempotencyKey('transfer', requestId || occurredAt, from.id, to.id, changes.map(c => [c.transfer.catalog_object_id, c.transfer.quantity])),
+      changes
+    });
+
+    // Square answers with the resulting counts - store them now rather than waiting for the webhook
+    const counts = (data.counts || []).filter(count => count.state === 'IN_STOCK').map(count => ({
+      variationId: count.catalog_object_id,
+      locationId: count.location_id,
+      quantity: parseInt(count.quantity) || 0,
+      calculatedAt: count.calculated_at
+    }));
+    for (const count of counts) await recordCount(count);
+    await markCatalogDirty();
+
+    const extra = String(note || '').trim().slice(0, 200);
+    for (const { item, variation, quantity } of moves.values()) {
+      await recordAudit(user, 'item.transferred', {
+        target: { kind: 'item', id: item.squareId, label: item.title },
+        artistName: item.artistName,
+        before: { location: from.name },
+        after: { location: to.name },
+        note: [`${quantity} moved`, item.variations.length > 1 ? variation.name : '', extra].filter(Boolean).join(' · ')
+      });
+    }
+    console.log('Transfer:', user.username, from.name, '->', to.name, [...moves.values()].map(m => `${m.variation.sku} x${m.quantity}`).join(', '));
+
+    return res.status(200).json({
+      success: true,
+      transferred: [...moves.values()].map(({ item, variation, quantity }) => ({ itemId: item.squareId, variationId: variation.id, title: lineLabel({ item, variation }), quantity })),
+      counts: counts.map(({ variationId, locationId, quantity }) => ({ variationId, locationId, quantity }))
+    });
+
+  } catch (error) {
+    console.error('Inventory Transfer Error:', error);
+    return res.status(httpStatusFor(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
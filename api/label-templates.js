@@ -0,0 +1,59 @@
+// API endpoint for label templates (see _lib/label-templates.js)
+// GET                  every template - anyone signed in, since artists print their own labels
+// PUT { template }     add a template (no id) or replace one - admins and sub-admins
+// DELETE ?id=ID        remove an added template, or put an edited built-in back as it was - admins and sub-admins
+
+import crypto from 'crypto';
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { listTemplates, getTemplate, saveTemplate, removeTemplate, normalizeTemplate, isBuiltIn } from './_lib/label-templates.js';
+import { recordAudit } from './_lib/audit.js';
+import { httpStatusFor } from './_lib/square.js';
+
+export default async function handler(req, res) {
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, templates: await listTemplates() });
+    }
+
+    if (!isAdminUser(user)) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+
+    if (req.method === 'DELETE') {
+      const existing = await getTemplate(req.query?.id);
+      if (!existing) return res.status(404).json({ success: false, error: 'Template not found' });
+      if (existing.builtIn && !existing.edited) return res.status(400).json({ success: false, error: 'Built-in templates can only be reset after they have been edited' });
+      await removeTemplate(existing.id);
+      await recordAudit(user, 'label.removed', { target: { kind: 'label', id: existing.id, label: existing.name }, note: existing.builtIn ? 'Reset to the built-in layout' : null });
+      return res.status(200).json({ success: true, templates: await listTemplates() });
+    }
+
+    const { template: normalized, error } = normalizeTemplate(req.body?.template);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const existing = normalized.id ? await getTemplate(normalized.id) : null;
+    if (normalized.id && !existing) return res.status(404).json({ success: false, error: 'Template not found' });
+    if (!normalized.id) normalized.id = `label-${crypto.randomUUID()}`;
+    if (existing && existing.kind !== normalized.kind && isBuiltIn(existing.id)) {
+      return res.status(400).json({ success: false, error: 'A built-in template stays a SKU or wall label - add a new template instead' });
+    }
+
+    await saveTemplate(normalized);
+    await recordAudit(user, existing ? 'label.updated' : 'label.created', {
+      target: { kind: 'label', id: normalized.id, label: normalized.name },
+      note: existing && existing.name !== normalized.name ? `Was "${existing.name}"` : null
+    });
+    return res.status(200).json({ success: true, template: normalized, templates: await listTemplates() });
+
+  } catch (error) {
+    console.error('Label Templates Error:', error);
+    return res.status(httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,125 @@
+// API endpoint to move artwork details out of item descriptions into Square custom attributes
+// POST: { dryRun, skipIds } - handles BATCH_LIMIT items per call; `remaining` tells the caller whether to call again.
+// skipIds are the items the caller has already tried this run, so ones that fail don't hold up the rest.
+// Items saved before the switch carry "Medium:" / "Dimensions:" / "Discounts:" lines in their description. Each
+// value becomes a custom attribute (one already set is never overwritten) and its line is removed, leaving the
+// free text. A "Dimensions:" line that doesn't read like 16" x 20" stays put - it is still shown as the item's
+// dimensions - as do items whose lines are all like that.
+// dryRun lists what would move without writing anything. Admins and sub-admins only.
+
+import { requireUser } from './_lib/auth.js';
+import { fetchItemOwner } from './_lib/ownership.js';
+import { ensureFreshCatalog, readCatalog, markCatalogDirty } from './_lib/catalog-snapshot.js';
+import { itemDescription, parseLegacyDescription, textToHtml } from './_lib/catalog.js';
+import { ensureAttributeDefinitions, readAttributes, withAttributeValues, formatDimensions } from './_lib/attributes.js';
+import { squarePost, idempotencyKey, httpStatusFor } from './_lib/square.js';
+import { recordAudit } from './_lib/audit.js';
+
+const BATCH_LIMIT = 25;
+
+async function migrateItem(user, itemId, definitions) {
+  const owner = await fetchItemOwner(itemId);
+  if (!owner) return { squareId: itemId, success: false, error: 'Item not found in Square' };
+
+  const itemData = owner.item.item_data || {};
+  const title = itemData.name || 'Untitled';
+  const structured = readAttributes(itemData);
+  const { legacy } = parseLegacyDescription(itemDescription(itemData));
+  const hasSize = legacy.height && legacy.width;
+
+  // Lines whose value is already an attribute are dropped too - the attribute is what the portal shows
+  const moved = {};
+  if (legacy.medium && !structured.medium) moved.medium = legacy.medium;
+  if (hasSize && !(structured.height && structured.width)) Object.assign(moved, { height: legacy.height, width: legacy.width, depth: legacy.depth });
+  if (legacy.discounts && !structured.discounts) moved.discounts = legacy.discounts;
+  const strip = ['medium', 'discounts'].filter(field => legacy[field] !== undefined);
+  if (hasSize) strip.push('dimensions');
+  if (strip.length === 0) return { squareId: itemId, title, success: true, moved: [] };
+
+  const { description } = parseLegacyDescription(itemDescription(itemData), strip);
+  const object = {
+    ...owner.item,
+    item_data: {
+      ...itemData,
+      description,
+      description_html: description ? textToHtml(description) : '',
+      custom_attribute_values: withAttributeValues(itemData.custom_attribute_values, { ...structured, ...moved }, definitions)
+    }
+  };
+  delete object.item_data.description_plaintext;
+  await squarePost('catalog/object', { idempotency_key: idempotencyKey('metadata', itemId, owner.item.version), object });
+
+  const fields = Object.keys(moved).filter(field => moved[field]);
+  console.log('Metadata migrated:', itemId, fields.join(', ') || '(duplicate lines only)');
+  const after = Object.fromEntries(Object.entries({ medium: moved.medium, dimensions: formatDimensions(moved), discounts: moved.discounts }).filter(([, value]) => value));
+  await recordAudit(user, 'item.updated', {
+    target: { kind: 'item', id: itemId, label: title },
+    artistName: owner.artistName,
+    after,
+    note: 'Details moved out of the description'
+  });
+  return { squareId: itemId, title, success: true, moved: fields };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.SQUARE_ACCESS_TOKEN || !process.env.SQUARE_LOCATION_ID) {
+    return res.status(500).json({ error: 'Square credentials not configured' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: true });
+    if (!user) return;
+
+    const { dryRun, skipIds } = req.body || {};
+    const skip = new Set(Array.isArray(skipIds) ? skipIds : []);
+    await ensureFreshCatalog();
+    const { items } = await readCatalog();
+    const pending = items.filter(item => item.legacyMetadata?.length > 0 && !skip.has(item.squareId));
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        remaining: pending.length,
+        items: pending.map(item => ({
+          squareId: item.squareId,
+          title: item.title,
+          artistName: item.artistName,
+          fields: Object.fromEntries(item.legacyMetadata.map(field => [field, item[field]]))
+        }))
+      });
+    }
+
+    const definitions = await ensureAttributeDefinitions();
+    const results = [];
+    for (const item of pending.slice(0, BATCH_LIMIT)) {
+      try {
+        results.push(await migrateItem(user, item.squareId, definitions));
+      } catch (error) {
+        console.error('Metadata migrate failed:', item.squareId, error);
+        results.push({ squareId: item.squareId, title: item.title, success: false, error: error.message });
+      }
+    }
+
+    if (results.some(r => r.success)) await markCatalogDirty();
+
+    const succeeded = results.filter(r => r.success).length;
+    return res.status(200).json({
+      success: succeeded === results.length,
+      results,
+      remaining: pending.length - results.length,
+      error: succeeded === results.length ? undefined : results.find(r => !r.success)?.error
+    });
+
+  } catch (error) {
+    console.error('Metadata Migrate Error:', error);
+    return res.status(httpStatusFor(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,97 @@
+// API endpoint for sales run through Square pricing rules (see _lib/promotions.js)
+// GET                              every sale with its status (scheduled, active, ended) - artists only get the
+//                                  sales that aren't limited to other artists
+// POST { promotion, draftId }      start a sale: { name, kind: 'percent' | 'amount', value, artists, types, itemIds,
+//                                  startDate, endDate } - draftId (from the form) keeps a resend from making two
+// PUT  { id, promotion }           change a sale - its categories are looked up again, so new ones are picked up
+// DELETE ?id=ID                    end a sale early and remove it from Square
+// Changes are for admins and sub-admins. Items on sale today are marked by square-inventory.js.
+
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { sameArtist } from './_lib/catalog.js';
+import { ensureFreshCatalog, readCatalog } from './_lib/catalog-snapshot.js';
+import {
+  listPromotions, getPromotion, savePromotion, removePromotion, normalizePromotion, resolveProducts,
+  upsertSquareObjects, retrieveSquareObjects, deleteSquareObjects, promotionStatus, discountLabel
+} from './_lib/promotions.js';
+import { recordAudit, changedFields } from './_lib/audit.js';
+import { httpStatusFor } from './_lib/square.js';
+
+// The fields the audit log compares before and after a change
+const auditValues = (promotion) => ({
+  name: promotion.name,
+  discount: discountLabel(promotion),
+  artists: promotion.artists.join(', '),
+  types: promotion.types.join(', '),
+  items: promotion.itemIds.length,
+  startDate: promotion.startDate,
+  endDate: promotion.endDate
+});
+const AUDIT_FIELDS = ['name', 'discount', 'artists', 'types', 'items', 'startDate', 'endDate'];
+
+const withStatus = (promotion) => ({ ...promotion, status: promotionStatus(promotion) });
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: req.method !== 'GET' });
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const promotions = (await listPromotions()).filter(promotion => isAdminUser(user) || promotion.artists.length === 0 || promotion.artists.some(artist => sameArtist(artist, user.name)));
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ success: true, promotions: promotions.map(withStatus) });
+    }
+
+    if (req.method === 'DELETE') {
+      const existing = await getPromotion(req.query?.id);
+      if (!existing) return res.status(404).json({ success: false, error: 'Sale not found' });
+      await deleteSquareObjects(existing);
+      await removePromotion(existing.id);
+      console.log('Sale removed:', existing.name, 'by', user.username);
+      await recordAudit(user, 'promotion.removed', { target: { kind: 'promotion', id: existing.id, label: existing.name }, before: auditValues(existing) });
+      return res.status(200).json({ success: true });
+    }
+
+    const { promotion: normalized, error } = normalizePromotion(req.body?.promotion);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const existing = req.method === 'PUT' ? await getPromotion(req.body?.id) : null;
+    if (req.method === 'PUT' && !existing) return res.status(404).json({ success: false, error: 'Sale not found' });
+
+    await ensureFreshCatalog();
+    const { items, categories } = await readCatalog();
+    const { productIds, error: productError } = resolveProducts(normalized, categories || {}, items);
+    if (productError) return res.status(400).json({ success: false, error: productError });
+
+    const promotion = { ...existing, ...normalized, productIds };
+    const current = existing ? await retrieveSquareObjects(existing) : {};
+    promotion.square = await upsertSquareObjects(promotion, current, { draftId: req.body?.draftId ? String(req.body.draftId) : null });
+    const now = new Date().toISOString();
+    if (!existing) {
+      promotion.id = promotion.square.pricingRuleId;
+      promotion.createdAt = now;
+      promotion.createdBy = user.name || user.username;
+    }
+    promotion.updatedAt = now;
+    promotion.updatedBy = user.name || user.username;
+    await savePromotion(promotion);
+
+    console.log(existing ? 'Sale updated:' : 'Sale created:', promotion.name, discountLabel(promotion), productIds.length, 'categories/items, by', user.username);
+    const target = { kind: 'promotion', id: promotion.id, label: promotion.name };
+    if (existing) {
+      const change = changedFields(auditValues(existing), auditValues(promotion), AUDIT_FIELDS);
+      if (change) await recordAudit(user, 'promotion.updated', { target, ...change });
+    } else {
+      await recordAudit(user, 'promotion.created', { target, after: auditValues(promotion) });
+    }
+    return res.status(200).json({ success: true, promotion: withStatus(promotion) });
+
+  } catch (error) {
+    console.error('Promotions Error:', error);
+    return res.status(httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
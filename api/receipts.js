@@ -0,0 +1,112 @@
+// API endpoint for consignment intake and return receipts (see _lib/receipts.js)
+// GET                   receipts, newest first - artists only ever get their own; admins may pass ?artistName=
+// GET ?id=ID            one receipt
+// POST { kind: 'intake', itemIds, requestId }
+//                       receipt for work a consignment artist just dropped off, listing every variation of those
+//                       items with its quantity in Square. requestId is generated once by the browser; resending the
+//                       request returns the same receipt.
+// Return receipts are made by api/archive.js when an item is archived because the artist took it back.
+// Creating receipts is for admins and sub-admins - they are the gallery's record of what it received.
+
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { loadArtists } from './_lib/artists.js';
+import { sameArtist, transformItem, parseCategoryName } from './_lib/catalog.js';
+import { fetchItemOwners, FORBIDDEN_MESSAGE } from './_lib/ownership.js';
+import { ensureFreshCatalog, readCatalog } from './_lib/catalog-snapshot.js';
+import { listReceipts, getReceipt, createReceipt, findConsignmentArtist, receiptLines } from './_lib/receipts.js';
+import { KvBusyError } from './_lib/kv.js';
+import { squarePost, httpStatusFor } from './_lib/square.js';
+
+const MAX_ITEMS = 200;
+
+// Items made a moment ago may not be in the snapshot yet - read them, and their stock at every location, from Square
+async function fetchMissingItems(itemIds) {
+  const owners = await fetchItemOwners(itemIds);
+  const items = [...owners.values()].map(owner => ({
+    ...transformItem(owner.item),
+    artistName: owner.artistName,
+    category: owner.categoryName,
+    type: parseCategoryName(owner.categoryName).type
+  }));
+  const variationIds = items.flatMap(item => item.variations.map(variation => variation.id));
+  if (variationIds.length === 0) return items;
+
+  const stock = {};
+  let cursor = null;
+  do {
+    const data = await squarePost('inventory/counts/batch-retrieve', {
+      catalog_object_ids: variationIds,
+      states: ['IN_STOCK'],
+      limit: 1000,
+      cursor: cursor || undefined
+    });
+    (data.counts || []).forEach(count => {
+      stock[count.catalog_object_id] = { ...stock[count.catalog_object_id], [count.location_id]: parseInt(count.quantity) || 0 };
+    });
+    cursor = data.cursor;
+  } while (cursor);
+  return items.map(item => ({ ...item, variations: item.variations.map(variation => ({ ...variation, locationQuantities: stock[variation.id] || {} })) }));
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: req.method === 'POST' });
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      const { id } = req.query || {};
+      res.setHeader('Cache-Control', 'no-store');
+      if (id) {
+        const receipt = await getReceipt(id);
+        if (!receipt) return res.status(404).json({ success: false, error: 'Receipt not found' });
+        if (!isAdminUser(user) && !sameArtist(receipt.artistName, user.name)) {
+          return res.status(403).json({ success: false, error: FORBIDDEN_MESSAGE });
+        }
+        return res.status(200).json({ success: true, receipt });
+      }
+      const artistName = isAdminUser(user) ? req.query?.artistName : user.name;
+      return res.status(200).json({ success: true, receipts: await listReceipts({ artistName }) });
+    }
+
+    const { kind, itemIds, requestId } = req.body || {};
+    if (kind !== 'intake') {
+      return res.status(400).json({ success: false, error: 'Only intake receipts can be created here - return receipts come from archiving' });
+    }
+    if (!Array.isArray(itemIds) || itemIds.length === 0 || itemIds.length > MAX_ITEMS) {
+      return res.status(400).json({ success: false, error: `itemIds must list 1 to ${MAX_ITEMS} items` });
+    }
+
+    await ensureFreshCatalog();
+    const [{ items }, artists] = await Promise.all([readCatalog(), loadArtists()]);
+    const wanted = items.filter(item => itemIds.includes(item.squareId));
+    const missing = [...new Set(itemIds)].filter(id => !wanted.some(item => item.squareId === id));
+    if (missing.length > 0) wanted.push(...await fetchMissingItems(missing));
+    if (wanted.length !== new Set(itemIds).size) {
+      return res.status(404).json({ success: false, error: 'Some of the items were not found in Square' });
+    }
+    const artistName = wanted[0].artistName;
+    if (wanted.some(item => !sameArtist(item.artistName, artistName))) {
+      return res.status(400).json({ success: false, error: 'A receipt is for one artist - send each artist\'s items separately' });
+    }
+    const consignor = findConsignmentArtist(artists, artistName);
+    if (!consignor) {
+      return res.status(400).json({ success: false, error: `${artistName || 'This artist'} is not a consignment artist` });
+    }
+    const lines = wanted.flatMap(receiptLines);
+    if (lines.length === 0) {
+      return res.status(400).json({ success: false, error: 'None of the items are in stock, so there is nothing to put on a receipt' });
+    }
+
+    const [username, artist] = consignor;
+    const receipt = await createReceipt(user, { kind, username, artist, lines, requestId: typeof requestId === 'string' ? requestId : null });
+    return res.status(200).json({ success: true, receipt });
+
+  } catch (error) {
+    console.error('Receipts Error:', error);
+    return res.status(error instanceof KvBusyError ? 503 : httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,51 @@
+// API endpoint for the stock reports (see _lib/reports.js)
+// GET ?artistName=&fresh=1   valuation by artist and type, the aging list and data-quality problems of the items in Square.
+// Artists only get their own work; admins and sub-admins get everything or the artist they pass.
+// The pieces that haven't sold come from a year of completed orders, read at most every few minutes (salesReadAt) -
+// fresh=1 (admins and sub-admins) reads them again now.
+
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { sameArtist } from './_lib/catalog.js';
+import { FORBIDDEN_MESSAGE } from './_lib/ownership.js';
+import { ensureFreshCatalog, readCatalog } from './_lib/catalog-snapshot.js';
+import { buildReports, loadLastSold, AGING_DAYS } from './_lib/reports.js';
+import { httpStatusFor } from './_lib/square.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    let { artistName, fresh } = req.query || {};
+    if (!isAdminUser(user)) {
+      if (artistName && !sameArtist(artistName, user.name)) {
+        return res.status(403).json({ success: false, error: FORBIDDEN_MESSAGE });
+      }
+      artistName = user.name;
+    }
+
+    const { syncError = null } = await ensureFreshCatalog();
+    const [{ items }, sales] = await Promise.all([readCatalog(), loadLastSold({ fresh: fresh === '1' && isAdminUser(user) })]);
+    const wanted = artistName ? items.filter(item => sameArtist(item.artistName, artistName)) : items;
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      success: true,
+      artistName: artistName || null,
+      generatedAt: new Date().toISOString(),
+      salesSince: sales.salesSince,
+      salesReadAt: sales.readAt,
+      agingDays: AGING_DAYS,
+      syncError,
+      ...buildReports(wanted, sales.lastSold)
+    });
+
+  } catch (error) {
+    console.error('Reports Error:', error);
+    return res.status(httpStatusFor(error)).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,111 @@
+// API endpoint to give items a new short SKU in place
+// POST: { itemIds: [...] } for specific items, or { allLong: true, skipIds } for every item with a long SKU
+// Rewrites the SKU on the item's existing variation, so its Square sales and inventory history stay
+// attached (unlike the old archive-and-restore workaround, which created a new item).
+// allLong handles BATCH_LIMIT items per call; `remaining` tells the caller whether to call again. skipIds (with
+// allLong) are the items the caller has already tried this run, so ones that fail don't hold up the rest.
+// Each result lists the SKUs it replaced in `changes` (one per variation).
+// Admins and sub-admins only. Barcode labels printed with the old SKU need reprinting afterwards.
+
+import { requireUser } from './_lib/auth.js';
+import { fetchItemOwner } from './_lib/ownership.js';
+import { allocateSku, isLongSku } from './_lib/skus.js';
+import { ensureFreshCatalog, readCatalog, markCatalogDirty } from './_lib/catalog-snapshot.js';
+import { squarePost, idempotencyKey, httpStatusFor } from './_lib/square.js';
+import { recordAudit } from './_lib/audit.js';
+
+const BATCH_LIMIT = 20;
+
+// Every variation of the item with a long SKU gets a new one; an item picked by hand whose SKUs are
+// all short still has its first variation's SKU replaced
+async function regenerateSku(user, itemId) {
+  const owner = await fetchItemOwner(itemId);
+  if (!owner) return { squareId: itemId, success: false, error: 'Item not found in Square' };
+
+  const variations = owner.item.item_data?.variations || [];
+  const title = owner.item.item_data?.name || 'Untitled';
+  if (variations.length === 0) return { squareId: itemId, title, success: false, error: 'Item has no variation' };
+  if (!owner.artistName) return { squareId: itemId, title, success: false, error: 'Item has no "Artist - Type" category' };
+
+  const longVariations = variations.filter(v => isLongSku(v.item_variation_data?.sku));
+  const changes = [];
+  for (const variation of longVariations.length > 0 ? longVariations : [variations[0]]) {
+    const oldSku = variation.item_variation_data?.sku || '';
+    const newSku = await allocateSku(owner.artistName);
+    const object = {
+      type: 'ITEM_VARIATION',
+      id: variation.id,
+      version: variation.version,
+      item_variation_data: { ...variation.item_variation_data, sku: newSku }
+    };
+    await squarePost('catalog/object', { idempotency_key: idempotencyKey('sku', variation.id, variation.version, newSku), object });
+
+    console.log('SKU regenerated:', itemId, variation.id, oldSku || '(none)', '->', newSku);
+    const name = variation.item_variation_data?.name || '';
+    await recordAudit(user, 'item.sku', { target: { kind: 'item', id: itemId, label: title }, artistName: owner.artistName, before: { sku: oldSku }, after: { sku: newSku }, note: variations.length > 1 ? name : null });
+    changes.push({ variationId: variation.id, name, oldSku, newSku });
+  }
+  return { squareId: itemId, variationId: changes[0].variationId, title, artistName: owner.artistName, oldSku: changes[0].oldSku, newSku: changes[0].newSku, changes, success: true };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.SQUARE_ACCESS_TOKEN || !process.env.SQUARE_LOCATION_ID) {
+    return res.status(500).json({ error: 'Square credentials not configured' });
+  }
+
+  try {
+    const user = await requireUser(req, res, { admin: true });
+    if (!user) return;
+
+    const { itemIds, allLong, skipIds } = req.body || {};
+    let targets;
+    let totalLong = null;
+
+    if (allLong) {
+      await ensureFreshCatalog();
+      const { items } = await readCatalog();
+      const skip = new Set(Array.isArray(skipIds) ? skipIds : []);
+      const longItems = items.filter(item => item.variations.some(v => isLongSku(v.sku)) && item.artistName && !skip.has(item.squareId));
+      totalLong = longItems.length;
+      targets = longItems.slice(0, BATCH_LIMIT).map(item => item.squareId);
+    } else if (Array.isArray(itemIds) && itemIds.length > 0) {
+      if (itemIds.length > BATCH_LIMIT) {
+        return res.status(400).json({ success: false, error: `At most ${BATCH_LIMIT} items per request` });
+      }
+      targets = itemIds;
+    } else {
+      return res.status(400).json({ success: false, error: 'itemIds or allLong is required' });
+    }
+
+    const results = [];
+    for (const itemId of targets) {
+      try {
+        results.push(await regenerateSku(user, itemId));
+      } catch (error) {
+        console.error('SKU regenerate failed:', itemId, error);
+        results.push({ squareId: itemId, success: false, error: error.message });
+      }
+    }
+
+    if (results.some(r => r.success)) await markCatalogDirty();
+
+    const succeeded = results.filter(r => r.success).length;
+    return res.status(200).json({
+      success: succeeded === results.length,
+      results,
+      remaining: totalLong === null ? 0 : totalLong - results.length,
+      error: succeeded === results.length ? undefined : results.find(r => !r.success)?.error
+    });
+
+  } catch (error) {
+    console.error('SKU Regenerate Error:', error);
+    return res.status(httpStatusFor(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
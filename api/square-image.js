@@ -0,0 +1,177 @@
+// API endpoint for artwork photos on Square items
+// POST: { itemId, image, caption, primary } - attach a photo; image is a data: URL (JPEG, PNG or GIF),
+//       already resized by the browser. Photos are added after the existing ones; primary: true puts it
+//       first, making it the item's main image in Square and the portal.
+// POST: { itemId, imageId, url } - put back a photo an archived item had (used by Restore): the Square
+//       image itself if it still exists, otherwise a fresh copy downloaded from its url
+// DELETE: { itemId, imageId } - remove a photo from the item
+// Artists may only change photos on their own items; admins and sub-admins on any
+
+import crypto from 'crypto';
+import { requireUser } from './_lib/auth.js';
+import { fetchItemOwner, canManageArtist, FORBIDDEN_MESSAGE } from './_lib/ownership.js';
+import { markCatalogDirty } from './_lib/catalog-snapshot.js';
+import { squarePost, squarePostForm, squareDelete, retrieveCatalogObject, idempotencyKey, httpStatusFor } from './_lib/square.js';
+import { recordAudit } from './_lib/audit.js';
+
+// Vercel caps request bodies at 4.5MB, and base64 adds a third
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+const IMAGE_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif' };
+// Where archived photo URLs may be downloaded from - the buckets Square stores item images in, or the configured
+// (mock) API. Nothing else: the URL comes from the browser, and what is downloaded ends up readable on the item.
+const SQUARE_IMAGE_HOSTS = ['items-images-production.s3.us-west-2.amazonaws.com', 'items-images-sandbox.s3.us-west-2.amazonaws.com'];
+const isImageHost = (url) => {
+  const configured = process.env.SQUARE_BASE_URL ? new URL(process.env.SQUARE_BASE_URL).host : null;
+  return (url.protocol === 'https:' && SQUARE_IMAGE_HOSTS.includes(url.host)) || url.host === configured;
+};
+
+// The photo at an allowed URL as { type, bytes }, or { error }. Redirects are refused (they could lead anywhere),
+// and the type and size are checked before the body is read past MAX_IMAGE_BYTES.
+async function downloadPhoto(source) {
+  let response;
+  try {
+    response = await fetch(source.toString(), { redirect: 'error' });
+  } catch (error) {
+    return { error: 'The archived photo could not be downloaded' };
+  }
+  if (!response.ok) return { error: `The archived photo could not be downloaded (${response.status})` };
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+  if (!IMAGE_TYPES[type]) return { error: 'The archived photo is not a JPEG, PNG or GIF' };
+  if (parseInt(response.headers.get('content-length')) > MAX_IMAGE_BYTES) return { error: `The archived photo is over ${MAX_IMAGE_BYTES / 1024 / 1024}MB` };
+
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (let read = await reader.read(); !read.done; read = await reader.read()) {
+    size += read.value.length;
+    if (size > MAX_IMAGE_BYTES) {
+      await reader.cancel();
+      return { error: `The archived photo is over ${MAX_IMAGE_BYTES / 1024 / 1024}MB` };
+    }
+    chunks.push(read.value);
+  }
+  return { type, bytes: Buffer.concat(chunks) };
+}
+
+const parseDataUrl = (dataUrl) => {
+  const match = /^data:([\w/+.-]+);base64,(.+)$/s.exec(dataUrl || '');
+  if (!match) return null;
+  return { type: match[1], bytes: Buffer.from(match[2], 'base64') };
+};
+
+const checkImage = ({ type, bytes }) => {
+  if (!IMAGE_TYPES[type]) return 'Photos must be JPEG, PNG or GIF';
+  if (bytes.length === 0) return 'The photo is empty';
+  if (bytes.length > MAX_IMAGE_BYTES) return `Photos must be under ${MAX_IMAGE_BYTES / 1024 / 1024}MB`;
+  return null;
+};
+
+// Create a Square IMAGE attached to the item. The key comes from the photo's bytes, so a resent upload
+// of the same photo returns the image already created instead of adding a second copy.
+async function createImage(item, { type, bytes }, { caption = '', primary = false } = {}) {
+  const digest = crypto.createHash('sha256').update(bytes).digest('hex');
+  const form = new FormData();
+  form.append('request', JSON.stringify({
+    idempotency_key: idempotencyKey('image', item.id, digest),
+    object_id: item.id,
+    image: { type: 'IMAGE', id: '#image', image_data: { name: item.item_data?.name || 'Artwork', caption } },
+    is_primary: primary
+  }));
+  form.append('image_file', new Blob([bytes], { type }), `photo.${IMAGE_TYPES[type]}`);
+  const data = await squarePostForm('catalog/images', form);
+  return data.image;
+}
+
+// Put an existing Square image back on the item by adding it to image_ids
+async function attachImage(item, image) {
+  const imageIds = item.item_data?.image_ids || [];
+  if (imageIds.includes(image.id)) return image;
+  const object = { ...item, item_data: { ...item.item_data, image_ids: [...imageIds, image.id] } };
+  await squarePost('catalog/object', { idempotency_key: idempotencyKey('image-attach', item.id, item.version, image.id), object });
+  return image;
+}
+
+async function restoreImage(item, { imageId, url }) {
+  const existing = imageId ? await retrieveCatalogObject(imageId) : null;
+  if (existing?.object?.type === 'IMAGE' && !existing.object.is_deleted) return { image: await attachImage(item, existing.object) };
+
+  let source;
+  try { source = new URL(url); } catch (error) { return { error: 'The archived photo has no usable URL' }; }
+  if (!isImageHost(source)) return { error: 'The archived photo is not stored on Square' };
+
+  const photo = await downloadPhoto(source);
+  if (photo.error) return { error: photo.error };
+  const problem = checkImage(photo);
+  if (problem) return { error: problem };
+  return { image: await createImage(item, photo) };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.SQUARE_ACCESS_TOKEN || !process.env.SQUARE_LOCATION_ID) {
+    return res.status(500).json({ error: 'Square credentials not configured' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { itemId, image, caption, primary, imageId, url } = req.body || {};
+    if (!itemId) {
+      return res.status(400).json({ success: false, error: 'Item ID is required' });
+    }
+
+    const owner = await fetchItemOwner(itemId);
+    if (!owner) {
+      return res.status(404).json({ success: false, error: 'Item not found in Square' });
+    }
+    if (!canManageArtist(user, owner.artistName)) {
+      console.warn('Photo change denied -', user.username, 'tried to change', itemId, 'owned by', owner.artistName || '(no artist)');
+      return res.status(403).json({ success: false, error: FORBIDDEN_MESSAGE });
+    }
+    const target = { kind: 'item', id: itemId, label: owner.item.item_data?.name || 'Untitled' };
+
+    if (req.method === 'DELETE') {
+      if (!imageId) return res.status(400).json({ success: false, error: 'Image ID is required' });
+      if (!(owner.item.item_data?.image_ids || []).includes(imageId)) {
+        return res.status(404).json({ success: false, error: 'That photo is not on this item' });
+      }
+      await squareDelete(`catalog/object/${encodeURIComponent(imageId)}`);
+      await markCatalogDirty();
+      await recordAudit(user, 'item.photo_removed', { target, artistName: owner.artistName, before: { photo: imageId } });
+      return res.status(200).json({ success: true, removedId: imageId });
+    }
+
+    let created;
+    if (image) {
+      const photo = parseDataUrl(image);
+      if (!photo) return res.status(400).json({ success: false, error: 'image must be a base64 data: URL' });
+      const problem = checkImage(photo);
+      if (problem) return res.status(400).json({ success: false, error: problem });
+      created = await createImage(owner.item, photo, { caption: String(caption || '').slice(0, 200), primary: !!primary });
+    } else if (imageId || url) {
+      const result = await restoreImage(owner.item, { imageId, url });
+      if (result.error) return res.status(400).json({ success: false, error: result.error });
+      created = result.image;
+    } else {
+      return res.status(400).json({ success: false, error: 'image, or imageId and url, is required' });
+    }
+
+    await markCatalogDirty();
+    await recordAudit(user, 'item.photo_added', { target, artistName: owner.artistName, after: { photo: created.id } });
+    return res.status(200).json({
+      success: true,
+      image: { id: created.id, url: created.image_data?.url || null, caption: created.image_data?.caption || '' }
+    });
+
+  } catch (error) {
+    console.error('Square Image Error:', error);
+    return res.status(httpStatusFor(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -1,5 +1,18 @@
 // API endpoint to update inventory quantity in Square
 // POST: Set inventory count for a variation
+// Body: { variationId, quantity, requestId, locationId } - requestId is generated once per change by the browser
+// and reused if it resends, so a retried request can't record a second count. locationId defaults to the
+// gallery (SQUARE_LOCATION_ID); any other active Square location may be counted too.
+// Artists may only recount their own items; admins and sub-admins may recount any
+
+import { requireUser } from './_lib/auth.js';
+import { fetchVariationOwner, canManageArtist, FORBIDDEN_MESSAGE } from './_lib/ownership.js';
+import { markCatalogDirty } from './_lib/catalog-snapshot.js';
+import { squarePost, idempotencyKey, httpStatusFor } from './_lib/square.js';
+import { kvCommand } from './_lib/kv.js';
+import { countsKey, changeTime } from './_lib/live-inventory.js';
+import { findLocation } from './_lib/locations.js';
+import { recordAudit, changedFields } from './_lib/audit.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -14,7 +27,10 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { variationId, quantity } = req.body;
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { variationId, quantity, requestId, locationId = SQUARE_LOCATION_ID } = req.body;
 
     if (!variationId) {
       return res.status(400).json({ error: 'variationId is required' });
@@ -24,36 +40,47 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'quantity is required' });
     }
 
-    const response = await fetch('https://connect.squareup.com/v2/inventory/changes/batch-create', {
-      method: 'POST',
-      headers: {
-        'Square-Version': '2024-12-18',
-        'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        idempotency_key: `inv-update-${variationId}-${Date.now()}`,
-        changes: [{
-          type: 'PHYSICAL_COUNT',
-          physical_count: {
-            catalog_object_id: variationId,
-            location_id: SQUARE_LOCATION_ID,
-            quantity: String(quantity),
-            state: 'IN_STOCK',
-            occurred_at: new Date().toISOString()
-          }
-        }]
-      })
-    });
+    const location = await findLocation(locationId);
+    if (!location) {
+      return res.status(400).json({ success: false, error: 'Unknown or closed location' });
+    }
+
+    const owner = await fetchVariationOwner(variationId);
+    if (!owner) {
+      return res.status(404).json({ success: false, error: 'Variation not found in Square' });
+    }
+    if (!canManageArtist(user, owner.artistName)) {
+      console.warn('Inventory update denied -', user.username, 'tried to recount', variationId, 'owned by', owner.artistName || '(no artist)');
+      return res.status(403).json({ success: false, error: FORBIDDEN_MESSAGE });
+    }
 
-    const data = await response.json();
+    // Last known count, for the audit log
+    let previousQuantity = null;
+    try {
+      previousQuantity = JSON.parse(await kvCommand(['HGET', countsKey(locationId), variationId]))?.quantity ?? null;
+    } catch (error) {
+      console.warn('Could not read previous count for', variationId, error.message);
+    }
+
+    const occurredAt = await changeTime('inv-update', requestId);
+    await squarePost('inventory/changes/batch-create', {
+      idempotency_key: idempotencyKey('inv-update', variationId, locationId, String(quantity), requestId || occurredAt),
+      changes: [{
+        type: 'PHYSICAL_COUNT',
+        physical_count: {
+          catalog_object_id: variationId,
+          location_id: locationId,
+          quantity: String(quantity),
+          state: 'IN_STOCK',
+          occurred_at: occurredAt
+        }
+      }]
+    });
 
-    if (!response.ok) {
-      console.error('Square inventory update error:', data.errors);
-      return res.status(500).json({ 
-        success: false, 
-        error: data.errors?.[0]?.detail || 'Failed to update inventory' 
-      });
+    await markCatalogDirty();
+    const change = changedFields({ quantity: previousQuantity }, { quantity: Number(quantity) }, ['quantity']);
+    if (change) {
+      await recordAudit(user, 'item.quantity', { target: { kind: 'item', id: owner.item.id, label: owner.item.item_data?.name }, artistName: owner.artistName, ...change, note: location.isHome ? null : location.name });
     }
 
     return res.status(200).json({ 
@@ -63,7 +90,7 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('Square Inventory Update Error:', error);
-    return res.status(500).json({ 
+    return res.status(httpStatusFor(error)).json({ 
       success: false, 
       error: error.message 
     });
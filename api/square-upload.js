@@ -1,7 +1,138 @@
 // API endpoint to upload/update items in Square
-// POST: Create new items or update existing ones
-// Generates SKUs like JFP1234 (artist initials + 4-digit number)
-// Sets inventory quantity after creating items
+// POST: an array of up to MAX_ITEMS items - new ones (no squareId) are created, the rest updated
+// The number of Square calls doesn't grow with the number of items:
+//   catalog/batch-retrieve           current versions and owners of the items being updated
+//   catalog/list + batch-upsert      every "Artist - Type" category resolved once, missing ones created together
+//   catalog/search                   new items' draft SKUs, so a resent upload doesn't create them twice
+//   catalog/batch-upsert             each item in its own batch, so one bad item doesn't hold back the rest
+//   inventory/changes/batch-create   starting quantities of the new items
+// New items get SKUs like JFP0042 from the per-artist allocator in _lib/skus.js
+// Variations: an item may send `variations` - [{ id, name, price, quantity, draftId }] - to set its whole list
+// of sizes/editions/packs. Entries without an id are added (each with its own SKU and starting quantity, draftId
+// keeping a resend from adding it twice); existing variations left out are removed. Without the list only the
+// first variation's price changes, and the others are kept as they are.
+// Artwork details (medium, height/width/depth, year, framed, edition, discounts) are written as Square custom
+// attributes (_lib/attributes.js); the description holds only the free text. A field the request leaves out keeps
+// its current value, and so does an empty medium.
+// Artists may only create or update their own items; admins and sub-admins may write any
+// `results` has one entry per item, in request order; a failed entry with retryable: true can be sent again as-is
+import { requireUser } from './_lib/auth.js';
+import { fetchItemOwners, canManageArtist, FORBIDDEN_MESSAGE } from './_lib/ownership.js';
+import { allocateSkuOnce } from './_lib/skus.js';
+import { markCatalogDirty } from './_lib/catalog-snapshot.js';
+import { transformItem, parseCategoryName, textToHtml } from './_lib/catalog.js';
+import { ARTWORK_ATTRIBUTES, ensureAttributeDefinitions, withAttributeValues, formatDimensions } from './_lib/attributes.js';
+import { recordAudit, changedFields } from './_lib/audit.js';
+import { squareGet, squarePost, idempotencyKey, httpStatusFor, SquareError, SquareValidationError } from './_lib/square.js';
+
+const MAX_ITEMS = 50;
+const MAX_VARIATIONS = 20;
+const MAX_INVENTORY_CHANGES = 100; // Square's limit per batch-create
+
+// CSV imports send framed as text
+const asFramed = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (/^(y|yes|true|framed)$/i.test(String(value ?? '').trim())) return true;
+  if (/^(n|no|false|unframed)$/i.test(String(value ?? '').trim())) return false;
+  return null;
+};
+
+// The artwork details to store: what the request sent, else what the item already has (`current`)
+const artworkDetails = (item, current = {}) => {
+  const details = {};
+  for (const { field } of ARTWORK_ATTRIBUTES) {
+    const value = field in item ? item[field] : current[field];
+    details[field] = typeof value === 'string' ? value.trim() : value ?? '';
+  }
+  if (!details.medium) details.medium = current.medium || '';
+  details.framed = asFramed(details.framed);
+  return details;
+};
+
+const detailsProblem = (details) => {
+  const size = ['height', 'width', 'depth'].find(field => details[field] !== '' && !(parseFloat(details[field]) > 0));
+  if (size) return `${size[0].toUpperCase()}${size.slice(1)} must be a number of inches`;
+  if (details.year !== '' && !/^\d{4}$/.test(String(details.year))) return 'Year must have four digits, like 2024';
+  if (String(details.edition).length > 60) return 'Edition must be 60 characters or fewer';
+  return null;
+};
+
+const priceMoney = (price) => ({ amount: Math.round(parseFloat(price) * 100), currency: 'USD' });
+
+// Name and price on top of whatever else the variation already has (SKU, inventory tracking, ...)
+const variationData = (base, { name, price }, itemId) => ({
+  ...base,
+  item_id: itemId,
+  name: name || base?.name || 'Regular',
+  pricing_type: 'FIXED_PRICING',
+  price_money: price !== undefined && price !== null && price !== '' ? priceMoney(price) : base?.price_money
+});
+
+// The variation list an item asked for, or null to leave the list alone. With a single variation the
+// top-level price wins, so imports and bulk edits that only change `price` keep working.
+const requestedVariations = (item) => {
+  if (!Array.isArray(item.variations) || item.variations.length === 0) return null;
+  const list = item.variations.map((v, index) => ({ id: v.id || null, draftId: String(v.draftId || index), name: String(v.name || '').trim(), price: v.price, quantity: v.quantity }));
+  if (list.length === 1 && item.price) list[0].price = item.price;
+  return list;
+};
+
+const variationProblem = (variations) => {
+  if (variations.length > MAX_VARIATIONS) return `At most ${MAX_VARIATIONS} variations per item`;
+  if (variations.length > 1 && variations.some(v => !v.name)) return 'Every variation needs a name when an item has more than one';
+  if (new Set(variations.map(v => v.name.toLowerCase())).size < variations.length) return 'Variation names must all be different';
+  if (variations.some(v => !(parseFloat(v.price) >= 0))) return 'Every variation needs a price';
+  return null;
+};
+
+const startingQuantity = (quantity) => Number.isFinite(parseInt(quantity)) ? Math.max(0, parseInt(quantity)) : 1;
+
+// "8x10 $40.00; 11x14 $65.00" for the audit log - blank for single-variation items, where price says it all
+const variationSummary = (variations) => variations.length > 1
+  ? variations.map(v => `${v.item_variation_data?.name || ''} $${(v.item_variation_data?.price_money?.amount / 100 || 0).toFixed(2)}`).join('; ')
+  : '';
+
+// The fields the audit log compares before and after an update
+const AUDIT_FIELDS = ['title', 'artistName', 'type', 'medium', 'dimensions', 'year', 'framed', 'edition', 'discounts', 'price', 'variations', 'description'];
+
+// A whole-request rejection won't go away on a resend; anything else (rate limits, outages, version races) might
+const isRetryable = (error) => !(error instanceof SquareValidationError);
+
+// Map of category name -> id for the given names, creating the missing ones in a single batch.
+// Names Square wouldn't create are left out, and those items keep (or go without) their old category.
+// uploadKeys identify this upload (draft IDs of new items, current versions of existing ones), so only a resend of
+// the same upload replays Square's answer - a category deleted and made again since then is created afresh.
+async function resolveCategories(names, uploadKeys) {
+  const wanted = [...new Set(names.filter(Boolean))];
+  const ids = new Map();
+  if (wanted.length === 0) return ids;
+
+  let cursor = null;
+  do {
+    const data = await squareGet('catalog/list', { types: 'CATEGORY', cursor: cursor || undefined });
+    (data.objects || []).forEach(cat => {
+      const name = cat.category_data?.name;
+      if (wanted.includes(name) && !ids.has(name)) ids.set(name, cat.id);
+    });
+    cursor = data.cursor;
+  } while (cursor);
+
+  const missing = wanted.filter(name => !ids.has(name)).sort();
+  if (missing.length > 0) {
+    try {
+      const objects = missing.map((name, i) => ({ type: 'CATEGORY', id: `#category-${i}`, category_data: { name } }));
+      const data = await squarePost('catalog/batch-upsert', { idempotency_key: idempotencyKey('cats', missing, uploadKeys), batches: [{ objects }] });
+      (data.id_mappings || []).forEach(m => {
+        const index = parseInt(m.client_object_id.replace('#category-', ''));
+        if (missing[index]) ids.set(missing[index], m.object_id);
+      });
+    } catch (error) {
+      console.error('Category create failed:', missing, error);
+    }
+  }
+  return ids;
+}
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -11,170 +142,225 @@ export default async function handler(req, res) {
   if (!SQUARE_ACCESS_TOKEN || !SQUARE_LOCATION_ID) {
     return res.status(500).json({ error: 'Square credentials not configured' });
   }
-  const getInitials = (name) => {
-    if (!name) return 'XXX';
-    const words = name.trim().split(/[\s\-]+/);
-    let initials = '';
-    for (const word of words) {
-      if (word.length > 0) initials += word[0].toUpperCase();
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const items = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ success: false, error: 'Expected an array of items' });
     }
-    if (initials.length < 2) initials = name.substring(0, 3).toUpperCase();
-    return initials.substring(0, 4);
-  };
-  
-  // Helper function to generate a short unique SKU number
-  const getSkuNumber = () => {
-    const timestamp = Date.now().toString();
-    return timestamp.slice(-4);
-  };
-
-  // Helper function to set inventory quantity
-  const setInventoryQuantity = async (variationId, quantity) => {
-    try {
-      const response = await fetch('https://connect.squareup.com/v2/inventory/changes/batch-create', {
-        method: 'POST',
-        headers: {
-          'Square-Version': '2024-12-18',
-          'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          idempotency_key: `inv-${variationId}-${Date.now()}`,
-          changes: [{
-            type: 'PHYSICAL_COUNT',
-            physical_count: {
-              catalog_object_id: variationId,
-              location_id: SQUARE_LOCATION_ID,
-              quantity: String(quantity),
-              state: 'IN_STOCK',
-              occurred_at: new Date().toISOString()
-            }
-          }]
-        })
-      });
-      const data = await response.json();
-      if (!response.ok) {
-        console.error('Inventory set error:', data.errors);
-        return false;
+    if (items.length > MAX_ITEMS) {
+      return res.status(400).json({ success: false, error: `At most ${MAX_ITEMS} items per request - send the rest in another` });
+    }
+
+    // Check ownership of every item before writing anything, so a denied batch leaves Square untouched
+    const owners = await fetchItemOwners(items.filter(item => item.squareId).map(item => item.squareId));
+    for (const item of items) {
+      const owner = item.squareId ? owners.get(item.squareId) : null;
+      if (item.squareId && !owner) return res.status(404).json({ success: false, error: `Item "${item.title}" was not found in Square` });
+      if (!canManageArtist(user, item.artistName) || (owner && !canManageArtist(user, owner.artistName))) {
+        console.warn('Upload denied -', user.username, 'tried to write', item.squareId || 'new item', 'as', item.artistName || '(no artist)', 'owned by', owner ? owner.artistName || '(no artist)' : '(new)');
+        return res.status(403).json({ success: false, error: `${FORBIDDEN_MESSAGE} ("${item.title}")` });
       }
-      return true;
-    } catch (error) {
-      console.error('Inventory set exception:', error);
-      return false;
     }
-  };
 
-  try {
-    const items = req.body;
-    const results = [];
-    
+    const categoryName = (item) => item.artistName && item.type ? `${item.artistName} - ${item.type}` : null;
+    const uploadKeys = items.map(item => item.squareId ? `${item.squareId}:${owners.get(item.squareId).item.version}` : String(item.id));
+    const categoryIds = await resolveCategories(items.map(categoryName), uploadKeys);
+    const definitions = await ensureAttributeDefinitions();
+
+    // One entry per item: the object to upsert, or the result if it already failed.
+    // initialCounts are the starting quantities of variations this upload creates, by SKU.
+    const plans = [];
     for (const item of items) {
-      console.log('Processing item - squareId:', item.squareId, 'artistName:', item.artistName);
-      const categoryName = `${item.artistName} - ${item.type}`;
-      const reportingCategoryName = categoryName; // Reporting category = "Artist - Type"
-      const dimensions = item.dimensions || (item.height && item.width ? `${item.height}" x ${item.width}"` : '');
-
-      let description = item.description || '';
-      const extraLines = [];
-      if (item.medium) extraLines.push(`Medium: ${item.medium}`);
-      if (dimensions) extraLines.push(`Dimensions: ${dimensions}`);
-      if (item.discounts) extraLines.push(`Discounts: ${item.discounts}`);
-      if (extraLines.length > 0) description += '\n\n' + extraLines.join('\n');
-      description = description.trim();
-      // Also build description_html — Square 2024+ may ignore plain description and use this instead
-      const toHtml = (t) => '<p>' + t.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n\n+/g, '</p><p>').replace(/\n/g, '<br>') + '</p>';
-      const descriptionHtml = description ? toHtml(description) : '';
-
-      if (item.squareId) {
-        let categoryId = null;
-        if (item.artistName && item.type) {
-          const catName = `${item.artistName} - ${item.type}`;
-          const catSearch = await fetch('https://connect.squareup.com/v2/catalog/search', { method: 'POST', headers: { 'Square-Version': '2024-12-18', 'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}`, 'Content-Type': 'application/json' }, body: JSON.stringify({ object_types: ['CATEGORY'], query: { exact_query: { attribute_name: 'name', attribute_value: catName } } }) });
-          const catData = await catSearch.json();
-          categoryId = catData.objects?.[0]?.id;
-          if (!categoryId) {
-            const catCreate = await fetch('https://connect.squareup.com/v2/catalog/object', { method: 'POST', headers: { 'Square-Version': '2024-12-18', 'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}`, 'Content-Type': 'application/json' }, body: JSON.stringify({ idempotency_key: `cat-${catName.replace(/[^a-zA-Z0-9]/g, '-')}-${Date.now()}`, object: { type: 'CATEGORY', id: `#cat-edit-${item.squareId}`, category_data: { name: catName } } }) });
-            const catCreateData = await catCreate.json();
-            categoryId = catCreateData.catalog_object?.id;
-          }
-        }
-        // Always fetch the latest version from Square before updating to avoid stale-version conflicts
-        const latestFetch = await fetch(`https://connect.squareup.com/v2/catalog/object/${item.squareId}`, { method: 'GET', headers: { 'Square-Version': '2024-12-18', 'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}` } });
-        const latestData = await latestFetch.json();
-        const latestVersion = latestData.object?.version ?? item.version;
-        const latestVariationVersion = latestData.object?.item_data?.variations?.[0]?.version ?? item.variationVersion;
-
-        // Preserve existing Square data as fallbacks to prevent data loss on partial edits
-        const existingDesc = latestData.object?.item_data?.description || latestData.object?.item_data?.description_plaintext || '';
-        const existingMediumMatch = existingDesc.match(/Medium:[^\S\n]*([^\n]+)/i);
-        const effectiveMedium = item.medium || (existingMediumMatch ? existingMediumMatch[1].trim() : '');
-        const existingCategories = latestData.object?.item_data?.categories || [];
-
-        // Rebuild description for this update using effective values (with fallbacks)
-        let updatedDescription = (item.description || '').trim();
-        const updatedLines = [];
-        if (effectiveMedium) updatedLines.push(`Medium: ${effectiveMedium}`);
-        if (dimensions) updatedLines.push(`Dimensions: ${dimensions}`);
-        if (item.discounts) updatedLines.push(`Discounts: ${item.discounts}`);
-        if (updatedLines.length > 0) updatedDescription += '\n\n' + updatedLines.join('\n');
-        description = updatedDescription.trim();
-
-        const updateObject = { type: 'ITEM', id: item.squareId, version: latestVersion, item_data: { name: item.title, description: description, description_html: descriptionHtml } };
-        // Always include categories and reporting_category — fall back to existing Square values if lookup failed
-        const effectiveCategoryId = categoryId || existingCategories[0]?.id;
-        updateObject.item_data.categories = categoryId ? [{ id: categoryId }] : existingCategories;
-        if (effectiveCategoryId) { updateObject.item_data.reporting_category = { id: effectiveCategoryId }; }
-        if (item.variationId && item.price) {
-          updateObject.item_data.variations = [{ type: 'ITEM_VARIATION', id: item.variationId, version: latestVariationVersion, item_variation_data: { item_id: item.squareId, name: 'Regular', sku: item.sku, pricing_type: 'FIXED_PRICING', price_money: { amount: Math.round(parseFloat(item.price) * 100), currency: 'USD' } } }];
-        }
-        console.log('Attempting update with latest version:', JSON.stringify({ squareId: item.squareId, latestVersion, latestVariationVersion }));
-        const response = await fetch('https://connect.squareup.com/v2/catalog/object', { method: 'POST', headers: { 'Square-Version': '2024-12-18', 'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}`, 'Content-Type': 'application/json' }, body: JSON.stringify({ idempotency_key: `update-${item.squareId}-${Date.now()}`, object: updateObject }) });
-        const data = await response.json();
-        if (!response.ok) {
-          console.error('Square update failed:', data.errors);
-          results.push({ originalId: item.id, squareId: item.squareId, success: false, error: data.errors?.[0]?.detail || 'Failed to update' }); 
-        }
-        else { results.push({ originalId: item.id, squareId: data.catalog_object?.id || item.squareId, sku: data.catalog_object?.item_data?.variations?.[0]?.item_variation_data?.sku || item.sku, success: true, action: 'updated' }); }
+      const categoryId = categoryIds.get(categoryName(item)) || null;
+      const requested = requestedVariations(item);
+      const latestVariations = item.squareId ? owners.get(item.squareId).item.item_data?.variations || [] : [];
+      const current = item.squareId ? transformItem(owners.get(item.squareId).item) : {};
+      const details = artworkDetails(item, current);
+      let problem = (requested && variationProblem(requested)) || detailsProblem(details);
+      if (item.squareId && requested?.some(v => v.id && !latestVariations.some(l => l.id === v.id))) problem = 'A variation of this item was removed in Square - reload and try again';
+      if (problem) {
+        plans.push({ item, result: { originalId: item.id, squareId: item.squareId, success: false, retryable: false, error: `${problem} ("${item.title}")` } });
         continue;
-      } else {
-        const initials = getInitials(item.artistName);
-        const skuNum = getSkuNumber();
-        const sku = `${initials}${skuNum}`;
-        let categoryId = null;
-        const searchResponse = await fetch('https://connect.squareup.com/v2/catalog/search', { method: 'POST', headers: { 'Square-Version': '2024-12-18', 'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}`, 'Content-Type': 'application/json' }, body: JSON.stringify({ object_types: ['CATEGORY'], query: { exact_query: { attribute_name: 'name', attribute_value: categoryName } } }) });
-        const searchData = await searchResponse.json();
-        categoryId = searchData.objects?.[0]?.id;
-        if (!categoryId) {
-          const catResponse = await fetch('https://connect.squareup.com/v2/catalog/object', { method: 'POST', headers: { 'Square-Version': '2024-12-18', 'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}`, 'Content-Type': 'application/json' }, body: JSON.stringify({ idempotency_key: `cat-${categoryName.replace(/\s/g, '-')}-${Date.now()}`, object: { type: 'CATEGORY', id: `#cat-${item.id}`, category_data: { name: categoryName } } }) });
-          const catData = await catResponse.json();
-          categoryId = catData.catalog_object?.id;
+      }
+
+      try {
+        if (item.squareId) {
+          // The batch-retrieve above is the latest version, so stale versions from the browser don't conflict
+          const owner = owners.get(item.squareId);
+          const latest = owner.item;
+
+          // Preserve existing Square data as fallbacks to prevent data loss on partial edits.
+          // Saving also drops any old "Medium:" lines from the description, their values now being attributes.
+          const existingCategories = latest.item_data?.categories || [];
+          const description = (item.description || '').trim();
+
+          const object = { type: 'ITEM', id: item.squareId, version: latest.version, item_data: { ...latest.item_data, name: item.title, description, description_html: description ? textToHtml(description) : '' } };
+          delete object.item_data.description_plaintext;
+          object.item_data.custom_attribute_values = withAttributeValues(latest.item_data?.custom_attribute_values, details, definitions);
+          // Always include categories and reporting_category — fall back to existing Square values if lookup failed
+          const effectiveCategoryId = categoryId || existingCategories[0]?.id;
+          object.item_data.categories = categoryId ? [{ id: categoryId }] : existingCategories;
+          if (effectiveCategoryId) object.item_data.reporting_category = { id: effectiveCategoryId };
+
+          const initialCounts = [];
+          if (requested) {
+            const variations = [];
+            for (const v of requested) {
+              let base = v.id ? latestVariations.find(l => l.id === v.id) : null;
+              let sku = null;
+              if (!base) {
+                sku = await allocateSkuOnce(`${user.username}:${item.squareId}:${v.draftId}`, owner.artistName || item.artistName);
+                // Added by an earlier send of this same edit
+                base = latestVariations.find(l => l.item_variation_data?.sku === sku) || null;
+              }
+              if (base) variations.push({ ...base, item_variation_data: variationData(base.item_variation_data, v, item.squareId) });
+              else {
+                variations.push({ type: 'ITEM_VARIATION', id: `#variation-${item.squareId}-${v.draftId}`, item_variation_data: variationData({ sku, track_inventory: true }, v, item.squareId) });
+                initialCounts.push({ sku, quantity: startingQuantity(v.quantity) });
+              }
+            }
+            object.item_data.variations = variations;
+          } else if (latestVariations[0] && item.price) {
+            const [first, ...rest] = latestVariations;
+            object.item_data.variations = [{ ...first, item_variation_data: variationData(first.item_variation_data, { price: item.price }, item.squareId) }, ...rest];
+          }
+
+          const { artistName: beforeArtist, type: beforeType } = parseCategoryName(owner.categoryName);
+          const before = { ...current, artistName: beforeArtist, type: beforeType, variations: variationSummary(latestVariations) };
+          const firstPrice = object.item_data.variations?.[0]?.item_variation_data?.price_money;
+          const after = { ...before, ...item, ...details, dimensions: formatDimensions(details), price: firstPrice ? (firstPrice.amount / 100).toFixed(2) : before.price, variations: variationSummary(object.item_data.variations || latestVariations), description: (item.description || '').trim() };
+          plans.push({ item, object, initialCounts, action: 'updated', audit: changedFields(before, after, AUDIT_FIELDS) });
+        } else {
+          // Same uploader + same draft id -> same SKUs, so a resent upload replays instead of duplicating.
+          // Variation ids from the browser (e.g. an archived item being restored) belong to deleted objects.
+          const wanted = requested || [{ draftId: '0', name: '', price: item.price, quantity: item.quantity || 1 }];
+          const variations = [];
+          const initialCounts = [];
+          for (const [index, v] of wanted.entries()) {
+            const sku = await allocateSkuOnce(index === 0 ? `${user.username}:${item.id}` : `${user.username}:${item.id}:${v.draftId}`, item.artistName);
+            variations.push({ type: 'ITEM_VARIATION', id: index === 0 ? `#variation-${item.id}` : `#variation-${item.id}-${v.draftId}`, item_variation_data: variationData({ sku, track_inventory: true }, v) });
+            initialCounts.push({ sku, quantity: startingQuantity(v.quantity) });
+          }
+          const description = (item.description || '').trim();
+          const object = { type: 'ITEM', id: `#item-${item.id}`, item_data: { name: item.title, description, description_html: description ? textToHtml(description) : '', categories: categoryId ? [{ id: categoryId }] : [], reporting_category: categoryId ? { id: categoryId } : undefined, variations, custom_attribute_values: withAttributeValues({}, details, definitions) } };
+          plans.push({ item, object, sku: initialCounts[0].sku, initialCounts, action: 'created' });
         }
-        // Reporting category = same category as the main one (Artist - Type)
-        const reportingCategoryId = categoryId;
-        const itemData = { idempotency_key: `item-${item.id}-${Date.now()}`, object: { type: 'ITEM', id: `#item-${item.id}`, item_data: { name: item.title, description: description, description_html: descriptionHtml, categories: categoryId ? [{ id: categoryId }] : [], reporting_category: reportingCategoryId ? { id: reportingCategoryId } : undefined, variations: [{ type: 'ITEM_VARIATION', id: `#variation-${item.id}`, item_variation_data: { name: 'Regular', sku: sku, pricing_type: 'FIXED_PRICING', price_money: { amount: Math.round(parseFloat(item.price) * 100), currency: 'USD' }, track_inventory: true } }] } } };
-        const response = await fetch('https://connect.squareup.com/v2/catalog/object', { method: 'POST', headers: { 'Square-Version': '2024-12-18', 'Authorization': `Bearer ${SQUARE_ACCESS_TOKEN}`, 'Content-Type': 'application/json' }, body: JSON.stringify(itemData) });
-        const data = await response.json();
-        if (!response.ok) { console.error('Square create error:', data); throw new Error(data.errors?.[0]?.detail || 'Failed to upload to Square'); }
-        
-        const variationId = data.catalog_object?.item_data?.variations?.[0]?.id;
-        const quantity = item.quantity || 1;
-        
-        // Set inventory quantity after creating item
-        if (variationId && quantity > 0) {
-          console.log(`Setting inventory for ${variationId} to ${quantity}`);
-          const inventorySet = await setInventoryQuantity(variationId, quantity);
-          if (!inventorySet) {
-            console.warn('Failed to set inventory quantity, but item was created');
+      } catch (error) {
+        console.error('Upload prepare failed:', item.title, error);
+        plans.push({ item, result: { originalId: item.id, squareId: item.squareId, success: false, retryable: isRetryable(error), error: error.message } });
+      }
+    }
+
+    // A new item whose draft SKU is already in Square was created by an earlier send of this same upload
+    // (e.g. the browser never saw the response) - report that item instead of creating it twice
+    const createSkus = plans.filter(plan => plan.action === 'created' && plan.object).map(plan => plan.sku);
+    if (createSkus.length > 0) {
+      const data = await squarePost('catalog/search', { object_types: ['ITEM_VARIATION'], query: { set_query: { attribute_name: 'sku', attribute_values: createSkus } }, limit: 1000 });
+      (data.objects || []).forEach(variation => {
+        const plan = plans.find(p => p.action === 'created' && p.object && p.sku === variation.item_variation_data?.sku);
+        if (!plan) return;
+        plan.object = null;
+        plan.result = { originalId: plan.item.id, squareId: variation.item_variation_data.item_id, variationId: variation.id, sku: plan.sku, category: categoryName(plan.item), quantity: plan.initialCounts.reduce((total, c) => total + c.quantity, 0), success: true, action: 'created' };
+      });
+    }
+
+    // Upsert every item in one request; if Square rejects the request as a whole, fall back to one
+    // item at a time so the bad item is identified and the others still go through
+    const pending = plans.filter(plan => plan.object);
+    const saved = new Map(); // plan -> saved ITEM object
+    const failures = new Map(); // plan -> error
+    if (pending.length > 0) {
+      let batchError = null;
+      try {
+        const data = await squarePost('catalog/batch-upsert', { idempotency_key: idempotencyKey('upload', pending.map(plan => plan.object)), batches: pending.map(plan => ({ objects: [plan.object] })) });
+        const realId = (id) => (data.id_mappings || []).find(m => m.client_object_id === id)?.object_id || id;
+        pending.forEach(plan => {
+          const object = (data.objects || []).find(obj => obj.id === realId(plan.object.id));
+          if (object) saved.set(plan, object);
+          else failures.set(plan, new SquareError(data.errors?.[0]?.detail || 'Square did not save this item'));
+        });
+      } catch (error) {
+        if (!(error instanceof SquareValidationError) || pending.length === 1) batchError = error;
+        else {
+          console.warn('Batch upsert rejected, retrying items one by one:', error.message);
+          for (const plan of pending) {
+            try {
+              const key = plan.action === 'created' ? idempotencyKey('item', plan.item.id) : idempotencyKey('update', plan.object);
+              const data = await squarePost('catalog/object', { idempotency_key: key, object: plan.object });
+              saved.set(plan, data.catalog_object);
+            } catch (itemError) {
+              failures.set(plan, itemError);
+            }
           }
         }
-        
-        results.push({ originalId: item.id, squareId: data.catalog_object?.id, variationId: variationId, sku: data.catalog_object?.item_data?.variations?.[0]?.item_variation_data?.sku || sku, category: categoryName, quantity: quantity, success: true, action: 'created' });
       }
+      if (batchError) pending.forEach(plan => failures.set(plan, batchError));
     }
+
+    // Starting quantities for new items and variations. occurred_at is when the variation was created, so
+    // a replayed upload sends identical changes and Square applies them once.
+    const quantityFailed = new Set();
+    const counts = pending.filter(plan => saved.has(plan)).flatMap(plan => {
+      const object = saved.get(plan);
+      return plan.initialCounts.filter(({ quantity }) => quantity > 0).map(({ sku, quantity }) => {
+        const variation = (object.item_data?.variations || []).find(v => v.item_variation_data?.sku === sku);
+        if (!variation) return null;
+        return { plan, change: { type: 'PHYSICAL_COUNT', physical_count: { catalog_object_id: variation.id, location_id: SQUARE_LOCATION_ID, quantity: String(quantity), state: 'IN_STOCK', occurred_at: variation.created_at || object.created_at || new Date().toISOString() } } };
+      }).filter(Boolean);
+    });
+    for (let i = 0; i < counts.length; i += MAX_INVENTORY_CHANGES) {
+      const chunk = counts.slice(i, i + MAX_INVENTORY_CHANGES);
+      const changes = chunk.map(({ change }) => change);
+      try {
+        await squarePost('inventory/changes/batch-create', { idempotency_key: idempotencyKey('inv-initial', changes), changes });
+      } catch (error) {
+        console.error('Inventory set error:', error);
+        chunk.forEach(({ plan }) => quantityFailed.add(plan));
+      }
+    }
+
+    const results = plans.map(plan => {
+      if (plan.result) return plan.result;
+      const { item } = plan;
+      if (failures.has(plan)) {
+        const error = failures.get(plan);
+        console.error(`Square ${plan.action === 'created' ? 'create' : 'update'} failed:`, item.title, error.errors || error);
+        return { originalId: item.id, squareId: item.squareId, success: false, retryable: isRetryable(error), error: error.message || 'Failed to save' };
+      }
+      const object = saved.get(plan);
+      const variation = object.item_data?.variations?.[0];
+      const variations = (object.item_data?.variations || []).map(v => ({ id: v.id, name: v.item_variation_data?.name || '', sku: v.item_variation_data?.sku || '' }));
+      const warning = quantityFailed.has(plan) ? 'Saved, but the starting quantity could not be set' : undefined;
+      if (plan.action === 'updated') {
+        return { originalId: item.id, squareId: object.id, sku: variation?.item_variation_data?.sku || item.sku, variations, success: true, action: 'updated', warning };
+      }
+      return { originalId: item.id, squareId: object.id, variationId: variation?.id, sku: variation?.item_variation_data?.sku || plan.sku, variations, category: categoryName(item), quantity: plan.initialCounts.reduce((total, c) => total + c.quantity, 0), success: true, action: 'created', warning };
+    });
+
+    for (const [index, plan] of plans.entries()) {
+      const result = results[index];
+      if (!result.success || !saved.has(plan)) continue;
+      const { item } = plan;
+      const target = { kind: 'item', id: result.squareId, label: item.title };
+      if (plan.action === 'created') {
+        const variations = saved.get(plan).item_data?.variations || [];
+        const price = variations[0]?.item_variation_data?.price_money?.amount / 100 || 0;
+        await recordAudit(user, 'item.created', { target, artistName: item.artistName, after: { sku: result.sku, title: item.title, type: item.type, medium: item.medium || '', dimensions: formatDimensions(item), price: price.toFixed(2), variations: variationSummary(variations), quantity: result.quantity } });
+      } else if (plan.audit) {
+        await recordAudit(user, 'item.updated', { target, artistName: item.artistName, ...plan.audit });
+      }
+    }
+
+    if (results.some(r => r.success)) await markCatalogDirty();
     const anyFailed = results.some(r => !r.success);
     return res.status(200).json({ success: !anyFailed, results, error: anyFailed ? results.find(r => !r.success)?.error : undefined });
   } catch (error) {
     console.error('Square Upload Error:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    return res.status(httpStatusFor(error)).json({ success: false, error: error.message });
   }
 }
@@ -0,0 +1,142 @@
+// API endpoint Square calls with webhook events
+// POST: Square event notification, signed with the subscription's signature key
+// Handles inventory.count.updated, catalog.version.updated and order.* events, keeping the
+// live inventory cache in KV up to date (counts at every location) and recording a "sold" event per
+// completed order line.
+// SQUARE_WEBHOOK_URL must be exactly the notification URL registered in Square - it is part of the signature.
+// Recorded payloads live in scripts/fixtures/webhooks: test/webhooks.test.mjs signs and sends each of them, and
+// scripts/send-webhook.mjs replays one against a running portal.
+
+import crypto from 'crypto';
+import { kvSetNx, kvDel } from './_lib/kv.js';
+import { clientIp } from './_lib/auth.js';
+import { recordCount, recordCatalogVersion, pushEvent } from './_lib/live-inventory.js';
+import { fetchOrder, resolveVariations } from './_lib/sales.js';
+import { markCatalogDirty } from './_lib/catalog-snapshot.js';
+
+// The signature covers the exact bytes Square sent, so the runtime must not parse the body first
+export const config = { api: { bodyParser: false } };
+
+const EVENT_TTL = 60 * 60 * 24 * 3; // Square retries for up to 3 days
+const ORDER_TTL = 60 * 60 * 24 * 30;
+
+// Read the body straight from the stream, before anything touches req.body
+const readRawBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const isValidSignature = (rawBody, signature, { signatureKey, notificationUrl }) => {
+  const expected = Buffer.from(crypto.createHmac('sha256', signatureKey).update(notificationUrl + rawBody).digest('base64'));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+async function handleInventoryCounts(event) {
+  const counts = event.data?.object?.inventory_counts || [];
+  for (const count of counts) {
+    if (count.state !== 'IN_STOCK') continue;
+    if (count.catalog_object_type && count.catalog_object_type !== 'ITEM_VARIATION') continue;
+    await recordCount({
+      variationId: count.catalog_object_id,
+      locationId: count.location_id,
+      quantity: parseInt(count.quantity) || 0,
+      calculatedAt: count.calculated_at
+    });
+  }
+}
+
+// order.created / order.updated / order.fulfillment.updated all carry { order_id, state } under a
+// type-specific key; the order itself has to be fetched. Each order is recorded as sold only once.
+async function handleOrder(event) {
+  const summary = Object.values(event.data?.object || {})[0] || {};
+  const orderId = summary.order_id || event.data?.id;
+  if (!orderId || (summary.state && summary.state !== 'COMPLETED')) return;
+
+  const order = await fetchOrder(orderId);
+  if (!order || order.state !== 'COMPLETED') return;
+
+  const firstTime = await kvSetNx(`cbg-order-sold:${orderId}`, '1', { ex: ORDER_TTL });
+  if (!firstTime) return;
+
+  try {
+    const lines = (order.line_items || []).filter(line => line.catalog_object_id);
+    const lookup = await resolveVariations(lines.map(line => line.catalog_object_id));
+    for (const line of lines) {
+      const variation = lookup[line.catalog_object_id] || {};
+      await pushEvent({
+        type: 'sold',
+        orderId,
+        variationId: line.catalog_object_id,
+        itemId: variation.itemId || null,
+        title: variation.title || line.name || '',
+        artistName: variation.artistName || '',
+        quantity: parseFloat(line.quantity) || 0
+      });
+    }
+  } catch (error) {
+    await kvDel(`cbg-order-sold:${orderId}`);
+    throw error;
+  }
+}
+
+async function handleEvent(event) {
+  if (event.type === 'inventory.count.updated') return handleInventoryCounts(event);
+  if (event.type === 'catalog.version.updated') {
+    const updatedAt = event.data?.object?.catalog_version?.updated_at;
+    if (updatedAt && await recordCatalogVersion(updatedAt)) await markCatalogDirty();
+    return;
+  }
+  if (event.type?.startsWith('order.')) return handleOrder(event);
+  console.log('Ignoring Square webhook event:', event.type);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  const notificationUrl = process.env.SQUARE_WEBHOOK_URL;
+
+  if (!signatureKey || !notificationUrl || !process.env.SQUARE_LOCATION_ID) {
+    return res.status(500).json({ error: 'Square webhook not configured' });
+  }
+
+  try {
+    const rawBody = await readRawBody(req);
+    if (!isValidSignature(rawBody, req.headers['x-square-hmacsha256-signature'], { signatureKey, notificationUrl })) {
+      console.warn('Square webhook signature mismatch, ip:', clientIp(req));
+      return res.status(401).json({ success: false, error: 'Invalid signature' });
+    }
+
+    const event = JSON.parse(rawBody);
+    if (!event.event_id || !event.type) {
+      return res.status(400).json({ success: false, error: 'Not a Square event' });
+    }
+
+    // Square redelivers until it gets a 2xx, so the same event can arrive more than once
+    const firstDelivery = await kvSetNx(`cbg-webhook-event:${event.event_id}`, event.type, { ex: EVENT_TTL });
+    if (!firstDelivery) {
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    try {
+      await handleEvent(event);
+    } catch (error) {
+      // Let Square's retry have another go
+      await kvDel(`cbg-webhook-event:${event.event_id}`);
+      throw error;
+    }
+
+    return res.status(200).json({ success: true });
+
+  } catch (error) {
+    console.error('Square Webhook Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
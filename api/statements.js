@@ -0,0 +1,64 @@
+// API endpoint for artist sales and commission statements
+// GET: ?start=YYYY-MM-DD&end=YYYY-MM-DD&artistName=...
+// Pulls completed Square orders for the range, matches line items to artists and applies
+// each artist's commission rate from cbg-artists. Artists only ever get their own statement.
+
+import { requireUser, isAdminUser } from './_lib/auth.js';
+import { loadArtists } from './_lib/artists.js';
+import { sameArtist } from './_lib/catalog.js';
+import { FORBIDDEN_MESSAGE } from './_lib/ownership.js';
+import { parseDateRange, fetchCompletedOrders, orderLines, resolveVariations, buildStatements } from './_lib/sales.js';
+import { httpStatusFor } from './_lib/square.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.SQUARE_ACCESS_TOKEN || !process.env.SQUARE_LOCATION_ID) {
+    return res.status(500).json({ error: 'Square credentials not configured' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    let { artistName } = req.query;
+    if (!isAdminUser(user)) {
+      if (artistName && !sameArtist(artistName, user.name)) {
+        return res.status(403).json({ success: false, error: FORBIDDEN_MESSAGE });
+      }
+      artistName = user.name;
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) return res.status(400).json({ success: false, error: range.error });
+
+    const [orders, artists] = await Promise.all([fetchCompletedOrders(range), loadArtists()]);
+    const lines = orderLines(orders);
+    const variationLookup = await resolveVariations(lines.map(line => line.variationId));
+    let { statements, unmatched } = buildStatements(lines, variationLookup, artists);
+
+    if (artistName) {
+      statements = statements.filter(statement => sameArtist(statement.artistName, artistName));
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      success: true,
+      start: range.startDate,
+      end: range.endDate,
+      orderCount: orders.length,
+      statements,
+      // Sales that could not be tied to an artist are only useful (and only shown) to admins
+      unmatched: isAdminUser(user) ? unmatched : []
+    });
+
+  } catch (error) {
+    console.error('Statements Error:', error);
+    return res.status(httpStatusFor(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,292 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+
+type MonthRow = {
+  month: string
+  orders: number
+  grossSales: number
+  discounts: number
+  returns: number
+  netSales: number
+  tax: number
+  commission: number
+  payouts: number
+}
+
+type Financials = {
+  start: string
+  end: string
+  months: MonthRow[]
+  totals: MonthRow
+  topArtists: { artistName: string; itemsSold: number; netSales: number; commission: number }[]
+  topTypes: { type: string; itemsSold: number; netSales: number }[]
+  unmatchedSales: number
+}
+
+const PRESETS = ['This month', 'Last month', 'Year to date', 'Last 12 months'] as const
+type Preset = (typeof PRESETS)[number]
+
+const toDateInput = (date: Date) => {
+  const pad = (n: number) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+const presetRange = (preset: Preset) => {
+  const today = new Date()
+  const year = today.getFullYear()
+  const month = today.getMonth()
+  switch (preset) {
+    case 'This month':
+      return { start: toDateInput(new Date(year, month, 1)), end: toDateInput(today) }
+    case 'Last month':
+      return { start: toDateInput(new Date(year, month - 1, 1)), end: toDateInput(new Date(year, month, 0)) }
+    case 'Year to date':
+      return { start: toDateInput(new Date(year, 0, 1)), end: toDateInput(today) }
+    case 'Last 12 months':
+      return { start: toDateInput(new Date(year, month - 11, 1)), end: toDateInput(today) }
+  }
+}
+
+const money = (value: number) =>
+  (value || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+
+const monthLabel = (month: string) => {
+  const [year, m] = month.split('-').map(Number)
+  return new Date(year, m - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+}
+
+const csvCell = (value: string | number) => `"${String(value ?? '').replace(/"/g, '""')}"`
+
+function exportCsv(data: Financials) {
+  const header = ['Month', 'Orders', 'Gross Sales', 'Discounts', 'Returns', 'Net Sales', 'Sales Tax', 'Commission', 'Artist Payouts']
+  const row = (r: MonthRow, label: string) =>
+    [label, r.orders, r.grossSales, r.discounts, r.returns, r.netSales, r.tax, r.commission, r.payouts]
+  const rows = [header, ...data.months.map(r => row(r, r.month)), row(data.totals, 'Total')]
+  const csv = rows.map(r => r.map(csvCell).join(',')).join('\n')
+
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `financials-${data.start}-to-${data.end}.csv`
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+export default function FinancialsClient({ apiBaseUrl, token }: { apiBaseUrl: string; token: string }) {
+  const [range, setRange] = useState(() => presetRange('Year to date'))
+  const [data, setData] = useState<Financials | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [expired, setExpired] = useState(false)
+
+  const load = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const params = new URLSearchParams(range)
+      const response = await fetch(`${apiBaseUrl}/api/financials?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      const result = await response.json().catch(() => ({}))
+      if (response.status === 401) {
+        setExpired(true)
+        return
+      }
+      if (!response.ok || !result.success) throw new Error(result.error || `Request failed (${response.status})`)
+      setData(result)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not load financials')
+    } finally {
+      setLoading(false)
+    }
+  }, [apiBaseUrl, token, range])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  if (expired) {
+    return (
+      <div className="p-8">
+        <div className="max-w-lg rounded-lg border border-amber-300 bg-amber-50 p-6">
+          <p className="font-semibold text-amber-900">Your Financials session has expired.</p>
+          <button onClick={() => window.location.reload()} className="mt-4 rounded bg-amber-600 px-4 py-2 text-white hover:bg-amber-700">
+            Reload page
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const maxNet = Math.max(1, ...(data?.months || []).map(m => m.netSales))
+
+  return (
+    <div className="space-y-6 p-8">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Financials</h1>
+          <p className="text-sm text-gray-500">Completed Square sales, sales tax, and artist commissions</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          {PRESETS.map(preset => (
+            <button
+              key={preset}
+              onClick={() => setRange(presetRange(preset))}
+              className="rounded border border-gray-300 px-3 py-2 text-sm hover:bg-gray-50"
+            >
+              {preset}
+            </button>
+          ))}
+          <label className="text-sm text-gray-600">
+            From
+            <input type="date" value={range.start} onChange={e => setRange({ ...range, start: e.target.value })} className="ml-2 rounded border border-gray-300 px-2 py-1.5" />
+          </label>
+          <label className="text-sm text-gray-600">
+            To
+            <input type="date" value={range.end} onChange={e => setRange({ ...range, end: e.target.value })} className="ml-2 rounded border border-gray-300 px-2 py-1.5" />
+          </label>
+          <button
+            onClick={() => data && exportCsv(data)}
+            disabled={!data || loading}
+            className="rounded bg-gray-900 px-4 py-2 text-sm text-white hover:bg-gray-700 disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="rounded border border-red-300 bg-red-50 p-4 text-red-800">{error}</div>}
+      {loading && <p className="text-gray-500">Loading sales from Square…</p>}
+
+      {data && !loading && (
+        <>
+          <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+            <SummaryCard label="Net sales" value={money(data.totals.netSales)} note={`${data.totals.orders} orders`} />
+            <SummaryCard label="Sales tax collected" value={money(data.totals.tax)} />
+            <SummaryCard label="Commissions earned" value={money(data.totals.commission)} />
+            <SummaryCard label="Artist payouts owed" value={money(data.totals.payouts)} />
+          </div>
+
+          {data.unmatchedSales > 0 && (
+            <div className="rounded border border-amber-300 bg-amber-50 p-4 text-sm text-amber-900">
+              {money(data.unmatchedSales)} of sales could not be matched to an artist and are not included in commissions or payouts.
+              Check the Statements tab in the inventory portal for details.
+            </div>
+          )}
+
+          <div className="overflow-x-auto rounded-lg border border-gray-200 bg-white">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-600">
+                <tr>
+                  <th className="px-4 py-2">Month</th>
+                  <th className="px-4 py-2 w-1/4"></th>
+                  <th className="px-4 py-2 text-right">Orders</th>
+                  <th className="px-4 py-2 text-right">Gross</th>
+                  <th className="px-4 py-2 text-right">Discounts</th>
+                  <th className="px-4 py-2 text-right">Returns</th>
+                  <th className="px-4 py-2 text-right">Net Sales</th>
+                  <th className="px-4 py-2 text-right">Sales Tax</th>
+                  <th className="px-4 py-2 text-right">Commission</th>
+                  <th className="px-4 py-2 text-right">Payouts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.months.length === 0 && (
+                  <tr>
+                    <td colSpan={10} className="px-4 py-6 text-center text-gray-500">No completed sales in this range</td>
+                  </tr>
+                )}
+                {data.months.map(row => (
+                  <tr key={row.month} className="border-t border-gray-100">
+                    <td className="px-4 py-2 font-medium">{monthLabel(row.month)}</td>
+                    <td className="px-4 py-2">
+                      <div className="h-3 rounded bg-emerald-500" style={{ width: `${Math.max(0, (row.netSales / maxNet) * 100)}%` }} />
+                    </td>
+                    <td className="px-4 py-2 text-right">{row.orders}</td>
+                    <td className="px-4 py-2 text-right">{money(row.grossSales)}</td>
+                    <td className="px-4 py-2 text-right">{money(row.discounts)}</td>
+                    <td className="px-4 py-2 text-right">{money(row.returns)}</td>
+                    <td className="px-4 py-2 text-right font-medium">{money(row.netSales)}</td>
+                    <td className="px-4 py-2 text-right">{money(row.tax)}</td>
+                    <td className="px-4 py-2 text-right">{money(row.commission)}</td>
+                    <td className="px-4 py-2 text-right">{money(row.payouts)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              {data.months.length > 0 && (
+                <tfoot className="border-t-2 border-gray-300 font-semibold">
+                  <tr>
+                    <td className="px-4 py-2" colSpan={2}>Total</td>
+                    <td className="px-4 py-2 text-right">{data.totals.orders}</td>
+                    <td className="px-4 py-2 text-right">{money(data.totals.grossSales)}</td>
+                    <td className="px-4 py-2 text-right">{money(data.totals.discounts)}</td>
+                    <td className="px-4 py-2 text-right">{money(data.totals.returns)}</td>
+                    <td className="px-4 py-2 text-right">{money(data.totals.netSales)}</td>
+                    <td className="px-4 py-2 text-right">{money(data.totals.tax)}</td>
+                    <td className="px-4 py-2 text-right">{money(data.totals.commission)}</td>
+                    <td className="px-4 py-2 text-right">{money(data.totals.payouts)}</td>
+                  </tr>
+                </tfoot>
+              )}
+            </table>
+          </div>
+
+          <div className="grid gap-6 lg:grid-cols-2">
+            <RankingTable
+              title="Top artists"
+              columns={['Artist', 'Items', 'Net Sales', 'Commission']}
+              rows={data.topArtists.map(a => [a.artistName, a.itemsSold, money(a.netSales), money(a.commission)])}
+            />
+            <RankingTable
+              title="Top artwork types"
+              columns={['Type', 'Items', 'Net Sales']}
+              rows={data.topTypes.map(t => [t.type, t.itemsSold, money(t.netSales)])}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function SummaryCard({ label, value, note }: { label: string; value: string; note?: string }) {
+  return (
+    <div className="rounded-lg border border-gray-200 bg-white p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className="mt-1 text-2xl font-bold text-gray-900">{value}</p>
+      {note && <p className="mt-1 text-xs text-gray-400">{note}</p>}
+    </div>
+  )
+}
+
+function RankingTable({ title, columns, rows }: { title: string; columns: string[]; rows: (string | number)[][] }) {
+  return (
+    <div className="rounded-lg border border-gray-200 bg-white">
+      <h2 className="border-b border-gray-100 px-4 py-3 font-semibold text-gray-900">{title}</h2>
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-600">
+          <tr>
+            {columns.map((column, i) => (
+              <th key={column} className={`px-4 py-2 ${i > 0 ? 'text-right' : ''}`}>{column}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={columns.length} className="px-4 py-4 text-center text-gray-500">No sales</td>
+            </tr>
+          )}
+          {rows.map(row => (
+            <tr key={String(row[0])} className="border-t border-gray-100">
+              {row.map((cell, i) => (
+                <td key={i} className={`px-4 py-2 ${i > 0 ? 'text-right' : ''}`}>{cell}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
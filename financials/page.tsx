@@ -1,5 +1,6 @@
 import { redirect } from 'next/navigation'
 import { createClient } from '@/lib/supabase/server'
+import { signPortalToken } from '@/lib/portal-token'
 import FinancialsClient from '@/components/FinancialsClient'
 
 export default async function FinancialsPage() {
@@ -18,5 +19,11 @@ export default async function FinancialsPage() {
     redirect('/dashboard')
   }
 
-  return <FinancialsClient />
+  const inventoryPortalUrl = process.env.INVENTORY_PORTAL_URL
+  if (!inventoryPortalUrl) throw new Error('INVENTORY_PORTAL_URL not configured')
+
+  // Short-lived token for the inventory portal's /api/financials - reload the page for a fresh one
+  const token = signPortalToken({ sub: user.email || user.id, role: member.role, aud: 'financials' }, 15 * 60)
+
+  return <FinancialsClient apiBaseUrl={inventoryPortalUrl} token={token} />
 }
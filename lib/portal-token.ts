@@ -0,0 +1,14 @@
+import crypto from 'crypto'
+
+// Signs tokens the inventory portal accepts (see api/_lib/handoff.js over there).
+// PORTAL_HANDOFF_SECRET must be the same value in both deployments.
+export function signPortalToken({ sub, role, aud }: { sub: string; role: string; aud: 'handoff' | 'financials' }, ttlSeconds: number) {
+  const secret = process.env.PORTAL_HANDOFF_SECRET
+  if (!secret) throw new Error('PORTAL_HANDOFF_SECRET not configured')
+
+  const now = Math.floor(Date.now() / 1000)
+  const payload = { sub, role, aud, iat: now, exp: now + ttlSeconds, jti: crypto.randomUUID() }
+  const payloadPart = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  const signature = crypto.createHmac('sha256', secret).update(payloadPart).digest('base64url')
+  return `${payloadPart}.${signature}`
+}
@@ -0,0 +1,422 @@
+// Local stand-in for the Square API (and Upstash KV), so the API routes can be exercised end to end offline
+// Usage: node scripts/mock-square.mjs [seed.json]     (default seed: scripts/fixtures/square-seed.json)
+//
+// Then run the portal against it, e.g.
+//   SQUARE_BASE_URL=http://localhost:4010 SQUARE_ACCESS_TOKEN=mock SQUARE_LOCATION_ID=MOCK_LOCATION \
+//   KV_REST_API_URL=http://localhost:4010/kv KV_REST_API_TOKEN=mock vercel dev
+// `npm test` starts its own copy on another port and calls the handlers directly (see test/harness.mjs).
+//
+// Covers the endpoints the portal uses: catalog object get/upsert/delete, batch-upsert, batch-retrieve,
+// batch-delete, search and list; image upload (multipart catalog/images); locations; inventory counts and changes
+// (counts, adjustments and transfers, per location); orders search and batch-retrieve. A sale's pricing rule may
+// point at the #temp ids of the discount and product set upserted in the same batch. Idempotency keys
+// behave like Square's (same key + same body replays the first response, a different body is rejected),
+// and each batch in a batch-upsert succeeds or fails on its own.
+// The seed's locations are added after the gallery location (SQUARE_LOCATION_ID); a seed count is either a
+// number (at the gallery) or { locationId: quantity }, where "SQUARE_LOCATION_ID" stands for the gallery.
+// Test hooks:
+//   POST /__mock/fail  { "status": 429, "count": 2 }  - fail the next N Square requests (Retry-After: 0)
+//   GET  /__mock/state                                - dump catalog, counts, orders and KV
+//   POST /__mock/reset                                - reload the seed and clear KV
+//   GET  /__mock/images/<id>                          - the bytes uploaded for an image (its image_data.url)
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const PORT = parseInt(process.env.MOCK_SQUARE_PORT) || 4010;
+const LOCATION_ID = process.env.SQUARE_LOCATION_ID || 'MOCK_LOCATION';
+const seedPath = process.argv[2] || new URL('./fixtures/square-seed.json', import.meta.url).pathname;
+
+let objects, counts, orders, idempotency, kv, pendingFailures, imageFiles, locations;
+
+const now = () => new Date().toISOString();
+const nextVersion = () => Date.now() * 1000 + Math.floor(Math.random() * 1000);
+const newId = () => crypto.randomBytes(12).toString('base64url').toUpperCase().replace(/[^A-Z0-9]/g, 'X');
+
+function reset() {
+  const seed = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+  objects = new Map();
+  counts = new Map();
+  locations = [{ id: LOCATION_ID, name: 'Gallery', status: 'ACTIVE' }, ...(seed.locations || [])];
+  orders = (seed.orders || []).map(order => ({ location_id: LOCATION_ID, ...order }));
+  idempotency = new Map();
+  kv = new Map();
+  imageFiles = new Map();
+  pendingFailures = { status: 0, count: 0 };
+  (seed.objects || []).forEach(obj => storeObject(structuredClone(obj)));
+  Object.entries(seed.counts || {}).forEach(([id, quantity]) => {
+    if (typeof quantity === 'object') Object.entries(quantity).forEach(([locationId, q]) => setCount(id, q, locationId === 'SQUARE_LOCATION_ID' ? LOCATION_ID : locationId));
+    else setCount(id, quantity);
+  });
+}
+
+// ── Catalog ──────────────────────────────────────────────────────────
+function storeObject(obj) {
+  const stamped = { ...obj, version: nextVersion(), updated_at: now(), is_deleted: false, present_at_all_locations: true };
+  if (!objects.has(obj.id)) stamped.created_at = now();
+  else stamped.created_at = objects.get(obj.id).created_at;
+  if (obj.type === 'ITEM') {
+    stamped.item_data = { ...obj.item_data, variations: (obj.item_data?.variations || []).map(variation => storeObject({ ...variation, item_variation_data: { ...variation.item_variation_data, item_id: obj.id } })) };
+  }
+  objects.set(obj.id, stamped);
+  return stamped;
+}
+
+const live = (id) => {
+  const obj = objects.get(id);
+  return obj && !obj.is_deleted ? obj : null;
+};
+
+// Swap "#temp" ids for real ones, recording the mapping like Square does
+function assignIds(obj, mappings) {
+  if (obj.id?.startsWith('#')) {
+    const realId = newId();
+    mappings.push({ client_object_id: obj.id, object_id: realId });
+    obj.id = realId;
+  }
+  if (obj.type === 'ITEM') (obj.item_data?.variations || []).forEach(variation => assignIds(variation, mappings));
+  return obj;
+}
+
+const resolveRef = (value, mappings) => mappings.find(m => m.client_object_id === value)?.object_id || value;
+
+function upsert(input, mappings) {
+  const obj = assignIds(structuredClone(input), mappings);
+  const existing = objects.get(obj.id);
+  if (existing && obj.version !== undefined && obj.version !== existing.version) {
+    throw squareError(400, 'VERSION_MISMATCH', `Object version does not match for object: ${obj.id}`);
+  }
+  if (!existing && !input.id?.startsWith('#')) throw squareError(404, 'NOT_FOUND', `Object not found: ${obj.id}`);
+  if (obj.type === 'ITEM') {
+    const data = obj.item_data || {};
+    (data.categories || []).forEach(cat => { cat.id = resolveRef(cat.id, mappings); });
+    if (data.reporting_category) data.reporting_category.id = resolveRef(data.reporting_category.id, mappings);
+  }
+  if (obj.type === 'PRICING_RULE') {
+    const data = obj.pricing_rule_data || {};
+    data.discount_id = resolveRef(data.discount_id, mappings);
+    data.match_products_id = resolveRef(data.match_products_id, mappings);
+  }
+  const stored = storeObject(obj);
+  // A variation upserted on its own also changes the copy nested in its item
+  const parent = obj.type === 'ITEM_VARIATION' && live(stored.item_variation_data?.item_id);
+  if (parent) {
+    const variations = parent.item_data.variations.map(v => v.id === stored.id ? stored : v);
+    objects.set(parent.id, { ...parent, item_data: { ...parent.item_data, variations }, version: nextVersion(), updated_at: now() });
+  }
+  return stored;
+}
+
+function deleteObject(id) {
+  const obj = live(id);
+  if (!obj) throw squareError(404, 'NOT_FOUND', `Object not found: ${id}`);
+  const ids = [id, ...(obj.item_data?.variations || []).map(v => v.id)];
+  ids.forEach(objectId => objects.set(objectId, { ...objects.get(objectId), is_deleted: true, version: nextVersion(), updated_at: now() }));
+  // Deleting an image also takes it off every item that used it
+  if (obj.type === 'IMAGE') {
+    [...objects.values()].filter(o => o.type === 'ITEM' && !o.is_deleted && (o.item_data?.image_ids || []).includes(id)).forEach(item => {
+      objects.set(item.id, { ...item, item_data: { ...item.item_data, image_ids: item.item_data.image_ids.filter(imageId => imageId !== id) }, version: nextVersion(), updated_at: now() });
+    });
+  }
+  return ids;
+}
+
+function relatedObjects(obj) {
+  const ids = new Set();
+  if (obj.type === 'ITEM') [obj.item_data?.category_id, ...(obj.item_data?.categories || []).map(c => c.id), obj.item_data?.reporting_category?.id].forEach(id => id && ids.add(id));
+  if (obj.type === 'ITEM_VARIATION') ids.add(obj.item_variation_data?.item_id);
+  return [...ids].map(id => objects.get(id)).filter(Boolean);
+}
+
+const page = (list, cursor, limit = 100) => {
+  const start = parseInt(cursor) || 0;
+  const slice = list.slice(start, start + limit);
+  return { slice, cursor: start + limit < list.length ? String(start + limit) : undefined };
+};
+
+// ── Inventory ────────────────────────────────────────────────────────
+const countKey = (variationId, locationId) => `${variationId}@${locationId}`;
+const countOf = (variationId, locationId) => parseFloat(counts.get(countKey(variationId, locationId))?.quantity) || 0;
+
+function setCount(variationId, quantity, locationId = LOCATION_ID) {
+  const count = { catalog_object_id: variationId, catalog_object_type: 'ITEM_VARIATION', state: 'IN_STOCK', location_id: locationId, quantity: String(quantity), calculated_at: now() };
+  counts.set(countKey(variationId, locationId), count);
+  return count;
+}
+
+const checkLocation = (locationId) => {
+  if (!locations.some(l => l.id === locationId)) throw squareError(400, 'INVALID_VALUE', `Invalid location: ${locationId}`);
+};
+
+// The counts a change touched, as Square returns them
+function applyChange(change) {
+  if (change.type === 'PHYSICAL_COUNT') {
+    const count = change.physical_count;
+    if (!live(count.catalog_object_id)) throw squareError(400, 'INVALID_VALUE', `Invalid catalog object: ${count.catalog_object_id}`);
+    checkLocation(count.location_id);
+    return [setCount(count.catalog_object_id, count.quantity, count.location_id)];
+  } else if (change.type === 'ADJUSTMENT') {
+    const adjustment = change.adjustment;
+    const locationId = adjustment.location_id || LOCATION_ID;
+    const current = countOf(adjustment.catalog_object_id, locationId);
+    const delta = parseFloat(adjustment.quantity) || 0;
+    return [setCount(adjustment.catalog_object_id, adjustment.to_state === 'IN_STOCK' ? current + delta : current - delta, locationId)];
+  } else if (change.type === 'TRANSFER') {
+    const transfer = change.transfer;
+    if (!live(transfer.catalog_object_id)) throw squareError(400, 'INVALID_VALUE', `Invalid catalog object: ${transfer.catalog_object_id}`);
+    checkLocation(transfer.from_location_id);
+    checkLocation(transfer.to_location_id);
+    const quantity = parseFloat(transfer.quantity) || 0;
+    return [
+      setCount(transfer.catalog_object_id, countOf(transfer.catalog_object_id, transfer.from_location_id) - quantity, transfer.from_location_id),
+      setCount(transfer.catalog_object_id, countOf(transfer.catalog_object_id, transfer.to_location_id) + quantity, transfer.to_location_id)
+    ];
+  } else {
+    throw squareError(400, 'INVALID_VALUE', `Unsupported change type: ${change.type}`);
+  }
+}
+
+// ── Routing ──────────────────────────────────────────────────────────
+function squareError(status, code, detail) {
+  const error = new Error(detail);
+  error.status = status;
+  error.body = { errors: [{ category: 'INVALID_REQUEST_ERROR', code, detail }] };
+  return error;
+}
+
+// Replays or rejects reused idempotency keys
+function idempotent(body, produce) {
+  const key = body.idempotency_key;
+  if (!key) throw squareError(400, 'MISSING_REQUIRED_PARAMETER', 'Missing required parameter: idempotency_key');
+  const hash = crypto.createHash('sha256').update(JSON.stringify({ ...body, idempotency_key: undefined })).digest('hex');
+  const previous = idempotency.get(key);
+  if (previous) {
+    if (previous.hash !== hash) throw squareError(400, 'IDEMPOTENCY_KEY_REUSED', 'The idempotency key can only be retried with the same request data.');
+    return previous.response;
+  }
+  const response = produce();
+  idempotency.set(key, { hash, response });
+  return response;
+}
+
+const routes = [
+  ['GET', /^\/v2\/catalog\/object\/([^/]+)$/, (match, body, query) => {
+    const obj = live(decodeURIComponent(match[1]));
+    if (!obj) throw squareError(404, 'NOT_FOUND', `Object not found: ${match[1]}`);
+    return { object: obj, related_objects: query.get('include_related_objects') === 'true' ? relatedObjects(obj) : undefined };
+  }],
+  ['DELETE', /^\/v2\/catalog\/object\/([^/]+)$/, (match) => ({ deleted_object_ids: deleteObject(decodeURIComponent(match[1])), deleted_at: now() })],
+  ['POST', /^\/v2\/catalog\/object$/, (match, body) => idempotent(body, () => {
+    const mappings = [];
+    const obj = upsert(body.object, mappings);
+    return { catalog_object: obj, id_mappings: mappings };
+  })],
+  ['POST', /^\/v2\/catalog\/batch-upsert$/, (match, body) => idempotent(body, () => {
+    const mappings = [];
+    const saved = [];
+    const errors = [];
+    // Each batch is all-or-nothing; a failed batch is rolled back and reported while the others stand
+    for (const batch of body.batches || []) {
+      const before = new Map(objects);
+      const batchMappings = [];
+      // Categories first, so items in the same batch can reference their #temp ids
+      const batchObjects = batch.objects || [];
+      const ordered = [...batchObjects.filter(o => o.type === 'CATEGORY'), ...batchObjects.filter(o => o.type !== 'CATEGORY')];
+      try {
+        saved.push(...ordered.map(obj => upsert(obj, batchMappings)));
+        mappings.push(...batchMappings);
+      } catch (error) {
+        objects = before;
+        if (!error.body) throw error;
+        errors.push(...error.body.errors);
+      }
+    }
+    if (saved.length === 0 && errors.length > 0) throw squareError(400, errors[0].code, errors[0].detail);
+    return { objects: saved, id_mappings: mappings, errors: errors.length ? errors : undefined, updated_at: now() };
+  })],
+  // Multipart: body.request is the JSON request part, body.file the uploaded image
+  ['POST', /^\/v2\/catalog\/images$/, (match, body) => idempotent(body.request || {}, () => {
+    const request = body.request;
+    if (!body.file?.bytes.length) throw squareError(400, 'MISSING_REQUIRED_PARAMETER', 'Missing required parameter: image_file');
+    const item = request.object_id ? live(request.object_id) : null;
+    if (request.object_id && !item) throw squareError(404, 'NOT_FOUND', `Object not found: ${request.object_id}`);
+    const image = upsert({ ...request.image, image_data: { ...request.image?.image_data } }, []);
+    image.image_data.url = `http://localhost:${PORT}/__mock/images/${image.id}`;
+    imageFiles.set(image.id, body.file);
+    if (item) {
+      const imageIds = item.item_data.image_ids || [];
+      objects.set(item.id, { ...item, item_data: { ...item.item_data, image_ids: request.is_primary ? [image.id, ...imageIds] : [...imageIds, image.id] }, version: nextVersion(), updated_at: now() });
+    }
+    return { image };
+  })],
+  ['POST', /^\/v2\/catalog\/batch-delete$/, (match, body) => ({
+    deleted_object_ids: (body.object_ids || []).filter(id => live(id)).flatMap(id => deleteObject(id)),
+    deleted_at: now()
+  })],
+  ['POST', /^\/v2\/catalog\/batch-retrieve$/, (match, body) => {
+    const found = (body.object_ids || []).map(id => objects.get(id)).filter(obj => obj && (body.include_deleted_objects || !obj.is_deleted));
+    return { objects: found, related_objects: body.include_related_objects ? found.flatMap(relatedObjects) : undefined };
+  }],
+  ['GET', /^\/v2\/locations$/, () => ({ locations })],
+  ['GET', /^\/v2\/catalog\/list$/, (match, body, query) => {
+    const types = (query.get('types') || 'ITEM').split(',');
+    const { slice, cursor } = page([...objects.values()].filter(o => !o.is_deleted && types.includes(o.type)), query.get('cursor'));
+    return { objects: slice, cursor };
+  }],
+  ['POST', /^\/v2\/catalog\/search$/, (match, body) => {
+    let found = [...objects.values()].filter(o => (body.object_types || []).includes(o.type));
+    if (!body.include_deleted_objects) found = found.filter(o => !o.is_deleted);
+    if (body.begin_time) found = found.filter(o => o.updated_at > body.begin_time);
+    const exact = body.query?.exact_query;
+    if (exact?.attribute_name === 'name') found = found.filter(o => (o.category_data?.name || o.item_data?.name) === exact.attribute_value);
+    if (exact?.attribute_name === 'sku') found = found.filter(o => o.item_variation_data?.sku === exact.attribute_value);
+    const set = body.query?.set_query;
+    if (set?.attribute_name === 'sku') found = found.filter(o => set.attribute_values.includes(o.item_variation_data?.sku));
+    const prefix = body.query?.prefix_query;
+    if (prefix?.attribute_name === 'sku') found = found.filter(o => (o.item_variation_data?.sku || '').toUpperCase().startsWith(prefix.attribute_prefix.toUpperCase()));
+    const { slice, cursor } = page(found, body.cursor, body.limit || 100);
+    return { objects: slice, cursor };
+  }],
+  ['POST', /^\/v2\/inventory\/counts\/batch-retrieve$/, (match, body) => {
+    let found = [...counts.values()];
+    if (body.catalog_object_ids) found = found.filter(c => body.catalog_object_ids.includes(c.catalog_object_id));
+    if (body.location_ids) found = found.filter(c => body.location_ids.includes(c.location_id));
+    if (body.states) found = found.filter(c => body.states.includes(c.state));
+    if (body.updated_after) found = found.filter(c => c.calculated_at > body.updated_after);
+    const { slice, cursor } = page(found, body.cursor, body.limit || 100);
+    return { counts: slice, cursor };
+  }],
+  ['POST', /^\/v2\/inventory\/changes\/batch-create$/, (match, body) => idempotent(body, () => {
+    return { counts: (body.changes || []).flatMap(applyChange) };
+  })],
+  ['POST', /^\/v2\/orders\/search$/, (match, body) => {
+    const filter = body.query?.filter || {};
+    let found = orders.filter(o => !body.location_ids || body.location_ids.includes(o.location_id));
+    if (filter.state_filter?.states) found = found.filter(o => filter.state_filter.states.includes(o.state));
+    const closed = filter.date_time_filter?.closed_at;
+    if (closed?.start_at) found = found.filter(o => o.closed_at >= closed.start_at);
+    if (closed?.end_at) found = found.filter(o => o.closed_at < closed.end_at);
+    const { slice, cursor } = page(found, body.cursor, body.limit || 500);
+    return { orders: slice, cursor };
+  }],
+  ['POST', /^\/v2\/orders\/batch-retrieve$/, (match, body) => ({ orders: orders.filter(o => (body.order_ids || []).includes(o.id)) })]
+];
+
+// Upstash REST: POST a command array to the root
+function kvCommand([command, ...args]) {
+  const name = String(command).toUpperCase();
+  const hash = (key) => { if (!(kv.get(key) instanceof Map)) kv.set(key, new Map()); return kv.get(key); };
+  const list = (key) => { if (!Array.isArray(kv.get(key))) kv.set(key, []); return kv.get(key); };
+  switch (name) {
+    case 'GET': return typeof kv.get(args[0]) === 'string' ? kv.get(args[0]) : null;
+    case 'MGET': return args.map(key => typeof kv.get(key) === 'string' ? kv.get(key) : null);
+    case 'SET': {
+      const flags = args.slice(2).map(a => String(a).toUpperCase());
+      if (flags.includes('NX') && kv.has(args[0])) return null;
+      kv.set(args[0], String(args[1]));
+      return 'OK';
+    }
+    case 'DEL': return args.filter(key => kv.delete(key)).length;
+    case 'EXISTS': return args.filter(key => kv.has(key)).length;
+    case 'INCR': { const value = (parseInt(kv.get(args[0])) || 0) + 1; kv.set(args[0], String(value)); return value; }
+    case 'EXPIRE': return kv.has(args[0]) ? 1 : 0; // expiry isn't simulated
+    case 'RENAME': { if (!kv.has(args[0])) throw new Error('ERR no such key'); kv.set(args[1], kv.get(args[0])); kv.delete(args[0]); return 'OK'; }
+    case 'HSET': { const h = hash(args[0]); for (let i = 1; i < args.length; i += 2) h.set(args[i], String(args[i + 1])); return (args.length - 1) / 2; }
+    case 'HSETNX': { const h = hash(args[0]); if (h.has(args[1])) return 0; h.set(args[1], String(args[2])); return 1; }
+    case 'HGET': return hash(args[0]).get(args[1]) ?? null;
+    case 'HMGET': return args.slice(1).map(field => hash(args[0]).get(field) ?? null);
+    case 'HGETALL': return [...hash(args[0]).entries()].flat();
+    case 'HDEL': return args.slice(1).filter(field => hash(args[0]).delete(field)).length;
+    case 'HLEN': return hash(args[0]).size;
+    case 'LPUSH': list(args[0]).unshift(...args.slice(1).reverse()); return list(args[0]).length;
+    case 'RPUSH': list(args[0]).push(...args.slice(1)); return list(args[0]).length;
+    case 'LRANGE': { const l = list(args[0]); const stop = parseInt(args[2]); return l.slice(parseInt(args[1]), stop < 0 ? l.length + stop + 1 : stop + 1); }
+    case 'LTRIM': { const l = list(args[0]); const stop = parseInt(args[2]); kv.set(args[0], l.slice(parseInt(args[1]), stop < 0 ? l.length + stop + 1 : stop + 1)); return 'OK'; }
+    case 'LLEN': return list(args[0]).length;
+    default: throw new Error(`ERR mock KV does not support ${name}`);
+  }
+}
+
+// Just enough multipart parsing for catalog/images: the JSON "request" part and one file part
+function parseMultipart(buffer, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+  const parts = buffer.toString('latin1').split(`--${boundary[1] || boundary[2]}`).slice(1, -1);
+  const body = {};
+  parts.forEach(part => {
+    const [head, ...rest] = part.replace(/^\r\n/, '').split('\r\n\r\n');
+    const content = Buffer.from(rest.join('\r\n\r\n').replace(/\r\n$/, ''), 'latin1');
+    const name = /name="([^"]+)"/.exec(head)?.[1];
+    if (/filename=/.test(head)) body.file = { type: /content-type:\s*([^\r\n]+)/i.exec(head)?.[1] || 'application/octet-stream', bytes: content };
+    else if (name === 'request') body.request = JSON.parse(content.toString('utf8'));
+  });
+  return body;
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => { chunks.push(chunk); });
+  req.on('end', () => {
+    try {
+      const data = Buffer.concat(chunks);
+      const contentType = req.headers['content-type'] || '';
+      if (contentType.startsWith('multipart/form-data')) resolve(parseMultipart(data, contentType));
+      else resolve(data.length ? JSON.parse(data.toString('utf8')) : {});
+    } catch (error) { reject(error); }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+reset();
+
+http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  try {
+    const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+
+    if (url.pathname === '/kv' || url.pathname === '/kv/') {
+      try { return send(res, 200, { result: kvCommand(body) }); } catch (error) { return send(res, 400, { error: error.message }); }
+    }
+    if (url.pathname === '/__mock/fail') {
+      pendingFailures = { status: body.status || 429, count: body.count ?? 1 };
+      return send(res, 200, pendingFailures);
+    }
+    const imageFile = url.pathname.match(/^\/__mock\/images\/([^/]+)$/);
+    if (imageFile) {
+      const file = imageFiles.get(imageFile[1]);
+      if (!file) return send(res, 404, { error: 'No such image' });
+      res.writeHead(200, { 'Content-Type': file.type });
+      return res.end(file.bytes);
+    }
+    if (url.pathname === '/__mock/state') {
+      return send(res, 200, { objects: [...objects.values()], counts: [...counts.values()], orders, kv: Object.fromEntries([...kv.entries()].map(([k, v]) => [k, v instanceof Map ? Object.fromEntries(v) : v])) });
+    }
+    if (url.pathname === '/__mock/reset') {
+      reset();
+      return send(res, 200, { reset: true });
+    }
+
+    if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+      return send(res, 401, { errors: [{ category: 'AUTHENTICATION_ERROR', code: 'UNAUTHORIZED', detail: 'Missing access token' }] });
+    }
+    if (pendingFailures.count > 0) {
+      pendingFailures.count--;
+      console.log(`${req.method} ${url.pathname} -> injected ${pendingFailures.status}`);
+      return send(res, pendingFailures.status, { errors: [{ category: pendingFailures.status === 429 ? 'RATE_LIMIT_ERROR' : 'API_ERROR', code: pendingFailures.status === 429 ? 'RATE_LIMITED' : 'INTERNAL_SERVER_ERROR', detail: 'Injected failure' }] }, { 'Retry-After': '0' });
+    }
+
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) return send(res, 404, { errors: [{ category: 'INVALID_REQUEST_ERROR', code: 'NOT_FOUND', detail: `Mock has no route for ${req.method} ${url.pathname}` }] });
+
+    const result = route[2](url.pathname.match(route[1]), body, url.searchParams);
+    console.log(`${req.method} ${url.pathname} -> 200`);
+    return send(res, 200, result);
+  } catch (error) {
+    console.log(`${req.method} ${url.pathname} -> ${error.status || 500} ${error.message}`);
+    return send(res, error.status || 500, error.body || { errors: [{ category: 'API_ERROR', code: 'INTERNAL_SERVER_ERROR', detail: error.message }] });
+  }
+}).listen(PORT, () => console.log(`Mock Square + KV listening on http://localhost:${PORT} (location ${LOCATION_ID})`));
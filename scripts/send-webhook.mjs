@@ -0,0 +1,40 @@
+// Replay a recorded Square webhook payload against a running portal (e.g. `vercel dev`)
+// Usage: node scripts/send-webhook.mjs <fixture.json> [--keep-event-id] [--bad-signature]
+//
+// Signs the payload the way Square does, using the same SQUARE_WEBHOOK_SIGNATURE_KEY and
+// SQUARE_WEBHOOK_URL the API route reads, and posts it to SQUARE_WEBHOOK_URL
+// (default http://localhost:3000/api/square-webhook).
+// The placeholder "SQUARE_LOCATION_ID" in a fixture is replaced with $SQUARE_LOCATION_ID, and each
+// send gets a fresh event_id unless --keep-event-id is given (use that to check duplicate handling).
+import crypto from 'crypto';
+import fs from 'fs';
+
+const [fixturePath, ...flags] = process.argv.slice(2);
+if (!fixturePath) {
+  console.error('Usage: node scripts/send-webhook.mjs <fixture.json> [--keep-event-id] [--bad-signature]');
+  process.exit(1);
+}
+
+const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+const notificationUrl = process.env.SQUARE_WEBHOOK_URL || 'http://localhost:3000/api/square-webhook';
+if (!signatureKey) {
+  console.error('SQUARE_WEBHOOK_SIGNATURE_KEY is not set');
+  process.exit(1);
+}
+
+const event = JSON.parse(fs.readFileSync(fixturePath, 'utf8').replaceAll('SQUARE_LOCATION_ID', process.env.SQUARE_LOCATION_ID || 'SQUARE_LOCATION_ID'));
+if (!flags.includes('--keep-event-id')) event.event_id = crypto.randomUUID();
+
+const body = JSON.stringify(event);
+let signature = crypto.createHmac('sha256', signatureKey).update(notificationUrl + body).digest('base64');
+if (flags.includes('--bad-signature')) signature = signature.split('').reverse().join('');
+
+const response = await fetch(notificationUrl, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'x-square-hmacsha256-signature': signature },
+  body
+});
+
+console.log(`${event.type} (${event.event_id}) -> ${response.status}`);
+console.log(await response.text());
+process.exit(response.ok ? 0 : 1);
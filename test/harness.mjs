@@ -0,0 +1,71 @@
+// Runs the API handlers in-process against scripts/mock-square.mjs, which stands in for both Square and Upstash KV
+// startMockSquare() starts the mock and points the handler env vars at it - each test file passes its own port, as
+// the files run side by side. callHandler() sends one request through a handler the way Vercel would (req is a
+// readable stream of the body, res has status/json/send).
+import { spawn } from 'child_process';
+import { Readable } from 'stream';
+
+const MOCK_PORT = 4310;
+
+export async function startMockSquare({ port = MOCK_PORT } = {}) {
+  const url = `http://localhost:${port}`;
+  Object.assign(process.env, {
+    SQUARE_ACCESS_TOKEN: 'mock',
+    SQUARE_LOCATION_ID: 'MOCK_LOCATION',
+    SQUARE_BASE_URL: url,
+    KV_REST_API_URL: `${url}/kv`,
+    KV_REST_API_TOKEN: 'mock'
+  });
+
+  const child = spawn(process.execPath, [new URL('../scripts/mock-square.mjs', import.meta.url).pathname], {
+    env: { ...process.env, MOCK_SQUARE_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    child.once('exit', code => reject(new Error(`Mock Square exited with code ${code}`)));
+    child.stdout.on('data', chunk => { if (String(chunk).includes('listening')) resolve(); });
+  });
+
+  const post = (path, body) => fetch(`${url}${path}`, { method: 'POST', headers: { Authorization: 'Bearer mock' }, body: JSON.stringify(body) }).then(r => r.json());
+  return {
+    url,
+    reset: () => post('/__mock/reset', {}),
+    state: () => fetch(`${url}/__mock/state`).then(r => r.json()),
+    kv: (command) => post('/kv', command).then(data => data.result),
+    stop: () => child.kill()
+  };
+}
+
+// rawBody is sent as the request stream as-is; body is JSON-encoded into it and also set on req.body, the way
+// Vercel's parser would
+export async function callHandler(path, { method = 'GET', headers = {}, query = {}, body, rawBody } = {}) {
+  const { default: handler } = await import(new URL(`../api/${path}.js`, import.meta.url));
+  const payload = rawBody ?? (body === undefined ? '' : JSON.stringify(body));
+  const req = Object.assign(Readable.from(payload ? [Buffer.from(payload)] : []), {
+    method,
+    headers,
+    query,
+    socket: { remoteAddress: '127.0.0.1' },
+    ...(rawBody === undefined ? { body } : {})
+  });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+    send(value) { this.body = value; return this; },
+    end(value) { this.body = value; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; }
+  };
+  await handler(req, res);
+  return res;
+}
+
+// Store the accounts (plaintext passwords are hashed on first read) and sign one in; returns its session cookie
+export async function signIn(mock, accounts, username) {
+  await mock.kv(['SET', 'cbg-artists', JSON.stringify(accounts)]);
+  const res = await callHandler('auth-login', { method: 'POST', body: { username, password: accounts[username].password } });
+  if (res.statusCode !== 200) throw new Error(`Login failed for ${username}: ${JSON.stringify(res.body)}`);
+  return res.headers['set-cookie'].split(';')[0];
+}
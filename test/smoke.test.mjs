@@ -0,0 +1,53 @@
+// End-to-end smoke test: the upload and inventory handlers against the mock Square server
+// Run with `npm test`; nothing outside this machine is called.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockSquare, callHandler, signIn } from './harness.mjs';
+
+const ACCOUNTS = {
+  admin: { name: 'Admin', type: 'admin', password: 'adminpw1', active: true },
+  'jay.lee': { name: 'Jay Lee', type: 'coop', rate: 20, password: 'pw1234', active: true }
+};
+
+let mock;
+let admin;
+
+before(async () => { mock = await startMockSquare(); });
+after(() => mock.stop());
+beforeEach(async () => {
+  await mock.reset();
+  admin = await signIn(mock, ACCOUNTS, 'admin');
+});
+
+test('an uploaded item is created in Square with its SKU and starting quantity', async () => {
+  const res = await callHandler('square-upload', {
+    method: 'POST',
+    headers: { cookie: admin },
+    body: [{ id: 'draft-1', artistName: 'Jay Lee', title: 'Mesa at Dusk', type: 'Painting', price: '120', quantity: 2 }]
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.results[0].success, true);
+
+  const { objects, counts } = await mock.state();
+  const item = objects.find(obj => obj.id === res.body.results[0].squareId);
+  assert.equal(item.item_data.name, 'Mesa at Dusk');
+  const variation = item.item_data.variations[0];
+  assert.match(variation.item_variation_data.sku, /^JL\d{4}$/);
+  assert.equal(counts.find(count => count.catalog_object_id === variation.id && count.location_id === 'MOCK_LOCATION').quantity, '2');
+});
+
+test('an inventory update sets the count at the gallery, and a resend is not counted twice', async () => {
+  const body = { variationId: 'VAR_BOWL', quantity: 7, requestId: 'smoke-1' };
+  for (let i = 0; i < 2; i++) {
+    const res = await callHandler('square-inventory-update', { method: 'POST', headers: { cookie: admin }, body });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  }
+  const { counts } = await mock.state();
+  assert.equal(counts.find(count => count.catalog_object_id === 'VAR_BOWL' && count.location_id === 'MOCK_LOCATION').quantity, '7');
+});
+
+test('an artist cannot update another artist\'s stock', async () => {
+  const jay = await signIn(mock, ACCOUNTS, 'jay.lee');
+  const res = await callHandler('square-inventory-update', { method: 'POST', headers: { cookie: jay }, body: { variationId: 'VAR_BOWL', quantity: 0, requestId: 'smoke-2' } });
+  assert.equal(res.statusCode, 403);
+});
@@ -0,0 +1,70 @@
+// The recorded Square payloads in scripts/fixtures/webhooks, signed the way Square signs them and sent through
+// api/square-webhook.js with the mock Square server behind it
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import { startMockSquare, callHandler } from './harness.mjs';
+
+const FIXTURES = new URL('../scripts/fixtures/webhooks/', import.meta.url);
+const NOTIFICATION_URL = 'https://portal.example/api/square-webhook';
+const SIGNATURE_KEY = 'test-signature-key';
+
+// The fixtures' placeholders, pointed at the mock's seed
+const SEED_IDS = { SQUARE_LOCATION_ID: 'MOCK_LOCATION', TEST_VARIATION_ID: 'VAR_BOWL', TEST_ORDER_ID: 'ORDER_1' };
+
+const loadFixture = (name) => Object.entries(SEED_IDS)
+  .reduce((text, [placeholder, id]) => text.replaceAll(placeholder, id), fs.readFileSync(new URL(name, FIXTURES), 'utf8'));
+
+const sign = (body) => crypto.createHmac('sha256', SIGNATURE_KEY).update(NOTIFICATION_URL + body).digest('base64');
+
+const deliver = (body, signature = sign(body)) => callHandler('square-webhook', {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', 'x-square-hmacsha256-signature': signature },
+  rawBody: body
+});
+
+let mock;
+
+before(async () => {
+  mock = await startMockSquare({ port: 4311 });
+  Object.assign(process.env, { SQUARE_WEBHOOK_SIGNATURE_KEY: SIGNATURE_KEY, SQUARE_WEBHOOK_URL: NOTIFICATION_URL });
+});
+after(() => mock.stop());
+beforeEach(() => mock.reset());
+
+for (const name of fs.readdirSync(FIXTURES).filter(file => file.endsWith('.json'))) {
+  test(`${name} is accepted with Square's signature`, async () => {
+    const res = await deliver(loadFixture(name));
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(res.body.duplicate, undefined);
+  });
+}
+
+test('an inventory count lands in the live counts', async () => {
+  await deliver(loadFixture('inventory-count-updated.json'));
+  const stored = JSON.parse(await mock.kv(['HGET', 'cbg-inv-counts', 'VAR_BOWL']));
+  assert.equal(stored.quantity, 2);
+});
+
+test('a completed order is recorded as sold once, however often it is delivered', async () => {
+  const event = JSON.parse(loadFixture('order-updated-completed.json'));
+  await deliver(JSON.stringify(event));
+  await deliver(JSON.stringify({ ...event, event_id: crypto.randomUUID() }));
+  const sold = (await mock.kv(['LRANGE', 'cbg-inv-events', 0, -1])).map(raw => JSON.parse(raw)).filter(e => e.type === 'sold');
+  assert.deepEqual(sold.map(e => [e.orderId, e.variationId, e.quantity]), [['ORDER_1', 'VAR_BOWL', 1]]);
+});
+
+test('a redelivered event is answered as a duplicate', async () => {
+  const body = loadFixture('catalog-version-updated.json');
+  await deliver(body);
+  const res = await deliver(body);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.duplicate, true);
+});
+
+test('a payload with a wrong signature is refused', async () => {
+  const body = loadFixture('inventory-count-updated.json');
+  const res = await deliver(body, sign(body.replace('"2"', '"20"')));
+  assert.equal(res.statusCode, 401);
+});